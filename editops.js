@@ -0,0 +1,213 @@
+// Level edit operations shared by the server (servercode.js) and the browser
+// client's level editor (game.js).
+//
+// Every change made in the editor is an operation: a plain JSON object with a
+// kind and its arguments. While online the editor sends operations to the
+// server, which validates them, applies them in the order received and
+// broadcasts them so every client applies the same sequence. Offline the
+// editor applies them directly. Applying an operation returns its inverse,
+// which is what undo applies.
+//
+// Operations work on a level state { map, enemies, collectibles, exits,
+// checkpoints, playerSpawn }. Entities are found by type and spawn position rather than by
+// index, so an operation still means the same thing after other edits.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node.js (server)
+    module.exports = factory(require('./tilemap'), require('./levelformat'), require('./enemyai'));
+  } else {
+    // Browser global (client), tilemap.js, levelformat.js and enemyai.js must be loaded first
+    root.EditOps = factory(root.Tilemap, root.LevelFormat, root.EnemyAI);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Tilemap, LevelFormat, EnemyAI) {
+  'use strict';
+
+  const MAX_TILES_PER_OP = 4096; // Largest tile batch one operation may change
+  // Most entities of each kind edits may leave in a level
+  const MAX_ENTITIES = {
+    enemies: 100,
+    collectibles: 500,
+    exits: 10,
+    checkpoints: 50
+  };
+  // Entity list each add operation grows
+  const ADDED_ENTITIES = {
+    addEnemy: 'enemies',
+    addCollectible: 'collectibles',
+    addExit: 'exits',
+    addCheckpoint: 'checkpoints'
+  };
+
+  // Spawn position of an entity. Enemies move during play, so they are
+  // identified by where they started.
+  function spawnX(entity) {
+    return entity.originalX !== undefined ? entity.originalX : entity.x;
+  }
+
+  function spawnY(entity) {
+    return entity.originalY !== undefined ? entity.originalY : entity.y;
+  }
+
+  // Index of the entity of the given type spawning at (x, y), or -1
+  function findEntity(list, target) {
+    return list.findIndex(entity =>
+      entity.type === target.type && spawnX(entity) === target.x && spawnY(entity) === target.y
+    );
+  }
+
+  function isNumberIn(value, min, max) {
+    return typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+  }
+
+  // Check an operation against the current state. Returns an error message,
+  // or null when the operation can be applied.
+  function validateOp(state, op) {
+    if (!op || typeof op !== 'object') return 'operation must be an object';
+
+    const mapWidth = Tilemap.pixelWidth(state.map);
+    const mapHeight = Tilemap.pixelHeight(state.map);
+    const inMap = (target, needsSize) => target && typeof target === 'object' &&
+      isNumberIn(target.x, 0, mapWidth) && isNumberIn(target.y, 0, mapHeight) &&
+      (!needsSize || (isNumberIn(target.width, 1, mapWidth) && isNumberIn(target.height, 1, mapHeight)));
+
+    const added = ADDED_ENTITIES[op.kind];
+    if (added && state[added].length >= MAX_ENTITIES[added]) {
+      return `level already has the most ${added} allowed (${MAX_ENTITIES[added]})`;
+    }
+
+    switch (op.kind) {
+      case 'setTiles': {
+        if (!Array.isArray(op.tiles) || op.tiles.length === 0 || op.tiles.length > MAX_TILES_PER_OP) {
+          return `tiles must be a list of 1 to ${MAX_TILES_PER_OP} [x, y, tile] entries`;
+        }
+        const valid = op.tiles.every(entry => Array.isArray(entry) &&
+          Number.isInteger(entry[0]) && entry[0] >= 0 && entry[0] < state.map.width &&
+          Number.isInteger(entry[1]) && entry[1] >= 0 && entry[1] < state.map.height &&
+          Number.isInteger(entry[2]) && entry[2] >= 0 && entry[2] < Tilemap.TILESET.length);
+        return valid ? null : 'every tile must be [x, y, tile] inside the map with a known tile';
+      }
+
+      case 'addEnemy': {
+        const enemy = op.enemy;
+        if (!inMap(enemy) || !LevelFormat.ENEMY_TYPES.includes(enemy.type)) return 'invalid enemy';
+        if (!isNumberIn(enemy.leftBound, 0, enemy.x) || !isNumberIn(enemy.rightBound, enemy.x, mapWidth)) {
+          return 'enemy must spawn between its leftBound and rightBound';
+        }
+        const behaviorError = EnemyAI.validateBehavior(enemy.type, enemy.behavior);
+        return behaviorError ? `enemy behavior ${behaviorError}` : null;
+      }
+
+      case 'addCollectible':
+        if (!inMap(op.collectible) || !LevelFormat.COLLECTIBLE_TYPES.includes(op.collectible.type)) {
+          return 'invalid collectible';
+        }
+        return null;
+
+      case 'addExit':
+        if (!inMap(op.exit, true) || !LevelFormat.EXIT_TYPES[op.exit.type]) return 'invalid exit';
+        return null;
+
+      case 'addCheckpoint':
+        return inMap(op.checkpoint) ? null : 'checkpoint must be inside the map';
+
+      case 'removeEnemy':
+        return findEntity(state.enemies, op.enemy || {}) < 0 ? 'no such enemy' : null;
+
+      case 'removeCollectible':
+        return findEntity(state.collectibles, op.collectible || {}) < 0 ? 'no such collectible' : null;
+
+      case 'removeExit':
+        return findEntity(state.exits, op.exit || {}) < 0 ? 'no such exit' : null;
+
+      case 'removeCheckpoint':
+        return findEntity(state.checkpoints, op.checkpoint || {}) < 0 ? 'no such checkpoint' : null;
+
+      case 'setSpawn':
+        return inMap(op.spawn) ? null : 'spawn must be inside the map';
+
+      default:
+        return `unknown operation ${JSON.stringify(op.kind)}`;
+    }
+  }
+
+  // Apply a validated operation to the state and return the operation that
+  // undoes it. factories.enemy(spawn) and factories.collectible(spawn) build
+  // the entity objects used by the caller.
+  function applyOp(state, op, factories) {
+    switch (op.kind) {
+      case 'setTiles': {
+        const previous = op.tiles.map(([tx, ty]) => [tx, ty, Tilemap.getTile(state.map, tx, ty)]);
+        op.tiles.forEach(([tx, ty, tile]) => Tilemap.setTile(state.map, tx, ty, tile));
+        return { kind: 'setTiles', tiles: previous };
+      }
+
+      case 'addEnemy': {
+        const { type, x, y, leftBound, rightBound, behavior } = op.enemy;
+        state.enemies.push(factories.enemy({ type, x, y, leftBound, rightBound, behavior }));
+        return { kind: 'removeEnemy', enemy: { type, x, y } };
+      }
+
+      case 'removeEnemy': {
+        const [enemy] = state.enemies.splice(findEntity(state.enemies, op.enemy), 1);
+        return {
+          kind: 'addEnemy',
+          enemy: {
+            type: enemy.type,
+            x: spawnX(enemy),
+            y: spawnY(enemy),
+            leftBound: enemy.leftBound,
+            rightBound: enemy.rightBound,
+            behavior: enemy.behavior
+          }
+        };
+      }
+
+      case 'addCollectible': {
+        const { type, x, y } = op.collectible;
+        state.collectibles.push(factories.collectible({ type, x, y }));
+        return { kind: 'removeCollectible', collectible: { type, x, y } };
+      }
+
+      case 'removeCollectible': {
+        const [collectible] = state.collectibles.splice(findEntity(state.collectibles, op.collectible), 1);
+        return { kind: 'addCollectible', collectible: { type: collectible.type, x: collectible.x, y: collectible.y } };
+      }
+
+      case 'addExit': {
+        const { type, x, y, width, height } = op.exit;
+        state.exits.push({ type, x, y, width, height });
+        return { kind: 'removeExit', exit: { type, x, y } };
+      }
+
+      case 'removeExit': {
+        const [exit] = state.exits.splice(findEntity(state.exits, op.exit), 1);
+        return { kind: 'addExit', exit };
+      }
+
+      case 'addCheckpoint': {
+        const { x, y } = op.checkpoint;
+        state.checkpoints.push({ x, y, ...LevelFormat.CHECKPOINT_SIZE });
+        return { kind: 'removeCheckpoint', checkpoint: { x, y } };
+      }
+
+      case 'removeCheckpoint': {
+        const [checkpoint] = state.checkpoints.splice(findEntity(state.checkpoints, op.checkpoint), 1);
+        return { kind: 'addCheckpoint', checkpoint: { x: checkpoint.x, y: checkpoint.y } };
+      }
+
+      case 'setSpawn': {
+        const previous = { x: state.playerSpawn.x, y: state.playerSpawn.y };
+        state.playerSpawn.x = op.spawn.x;
+        state.playerSpawn.y = op.spawn.y;
+        return { kind: 'setSpawn', spawn: previous };
+      }
+    }
+  }
+
+  return {
+    MAX_TILES_PER_OP,
+    MAX_ENTITIES,
+    validateOp,
+    applyOp
+  };
+});
@@ -0,0 +1,702 @@
+// Enemy behaviors shared by the server (servercode.js), which runs them every
+// simulation tick, and the browser client (game.js), which runs them offline.
+//
+// Each enemy type declares the behavior that drives it and that behavior's
+// tuning. A level can change the tuning of a single spawn with a behavior
+// object holding only the settings to override, for example
+// { "type": "bat", ..., "behavior": { "swoopRange": 128 } }.
+//
+// Enemies have hit points (health, 1 for most types) that player attacks take
+// away. Bosses are enemies much larger than the rest whose health sets the
+// phase of their attack pattern. A boss is fought in an arena spanning its
+// patrol bounds, which gates close off while the fight is on; it sleeps until
+// then.
+//
+// Every enemy also watches for players. A player within its sightRadius with
+// no solid tile in between becomes its target (targetId, '' for none) and the
+// enemy leaves its patrol to chase them. Out of sight for loseTime seconds, the target is
+// given up and the enemy goes back to its patrol.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node.js (server)
+    module.exports = factory(require('./tilemap'), require('./physics'));
+  } else {
+    // Browser global (client), tilemap.js and physics.js must be loaded first
+    root.EnemyAI = factory(root.Tilemap, root.Physics);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Tilemap, Physics) {
+  'use strict';
+
+  // Behavior and default tuning of each enemy type. Speeds are in pixels per
+  // second, times in seconds.
+  const ENEMY_BEHAVIORS = {
+    slime: {
+      behavior: 'hop',
+      size: { width: 16, height: 16 },
+      tuning: {
+        health: 1,
+        speed: 60, // Horizontal speed while in the air
+        hopSpeed: -260,
+        hopDelay: 0.8, // Rest on the ground between hops
+        sightRadius: 96,
+        loseTime: 2 // Time a target can be out of sight before it is given up
+      }
+    },
+    robot: {
+      behavior: 'patrol',
+      size: { width: 16, height: 16 },
+      tuning: {
+        health: 1,
+        speed: 50,
+        shootInterval: 3, // Walking time between shots
+        shootPause: 0.8, // Time spent standing still for each shot
+        sightRadius: 160,
+        loseTime: 3
+      }
+    },
+    bat: {
+      behavior: 'fly',
+      size: { width: 16, height: 16 },
+      tuning: {
+        health: 1,
+        speed: 60,
+        amplitude: 16, // Height of the wave flown around the spawn height
+        frequency: 1.5, // Waves per second
+        swoopRange: 96, // Distance at which a player gets swooped at
+        swoopSpeed: 160,
+        swoopCooldown: 2, // Time after a swoop before the next one
+        sightRadius: 128,
+        loseTime: 2
+      }
+    },
+    golem: {
+      behavior: 'boss',
+      boss: true,
+      size: { width: 32, height: 32 },
+      tuning: {
+        health: 12,
+        phase2Health: 8, // Health at or below which every throw is followed by a charge
+        phase3Health: 4, // Health at or below which a leap follows instead, and everything speeds up
+        speed: 30,
+        shootInterval: 2.5, // Walking time between boulder throws
+        shootPause: 0.6,
+        windupTime: 0.6, // Time spent standing still before a charge or leap, so players can react
+        chargeSpeed: 150,
+        leapSpeed: -300,
+        enrage: 1.5, // How much faster the golem is in its last phase
+        sightRadius: 320,
+        loseTime: 5
+      }
+    }
+  };
+
+  const MAX_SETTING = 1000; // Largest magnitude of a tuning value a level may set
+  const ANIMATION_INTERVAL = 0.2;
+  const SIGHT_STEP = 2; // Spacing of the points tested along a line of sight, thinner than any tile shape
+  const HURT_TIME = 0.5; // Time after taking damage during which an enemy can't be hurt again
+  const PHASE_THRESHOLDS = ['phase2Health', 'phase3Health']; // Tuning settings that start each phase after the first
+
+  // Values each kind of tuning setting allows
+  const SETTING_KINDS = {
+    count: { test: value => Number.isInteger(value) && value > 0, description: 'a whole number above 0' },
+    threshold: { test: value => Number.isInteger(value) && value >= 0, description: 'a whole number of 0 or more' },
+    positive: { test: value => value > 0, description: 'a number above 0' },
+    upward: { test: value => value < 0, description: 'a number below 0 (upwards)' },
+    nonNegative: { test: value => value >= 0, description: 'a number of 0 or more' }
+  };
+
+  // Kind of every tuning setting. Speeds, intervals and times must be positive,
+  // otherwise an enemy stands still or its timers never run out.
+  const SETTING_RULES = {
+    health: 'count',
+    phase2Health: 'threshold',
+    phase3Health: 'threshold',
+    speed: 'positive',
+    hopSpeed: 'upward',
+    hopDelay: 'positive',
+    sightRadius: 'nonNegative',
+    loseTime: 'positive',
+    shootInterval: 'positive',
+    shootPause: 'positive',
+    amplitude: 'nonNegative',
+    frequency: 'nonNegative',
+    swoopRange: 'nonNegative',
+    swoopSpeed: 'positive',
+    swoopCooldown: 'positive',
+    windupTime: 'positive',
+    chargeSpeed: 'positive',
+    leapSpeed: 'upward',
+    enrage: 'positive'
+  };
+
+  // Face the way the enemy should go: towards its target while chasing,
+  // otherwise back and forth between the patrol bounds
+  function chooseDirection(enemy) {
+    if (enemy.targetId) {
+      const dx = enemy.targetX - (enemy.x + enemy.width / 2);
+      if (Math.abs(dx) > 1) {
+        enemy.facingRight = dx > 0;
+      }
+    } else if (enemy.x >= enemy.rightBound) {
+      enemy.facingRight = false;
+    } else if (enemy.x <= enemy.leftBound) {
+      enemy.facingRight = true;
+    }
+  }
+
+  // Fly along the patrol path, or after the target
+  function pace(enemy, speed, dt) {
+    chooseDirection(enemy);
+    enemy.x += (enemy.facingRight ? speed : -speed) * dt;
+  }
+
+  // Check that a walking enemy can take a step of distance pixels forward
+  // without running into a wall or off a ledge
+  function canWalk(enemy, map, distance) {
+    const frontX = enemy.facingRight ? enemy.x + enemy.width + distance : enemy.x - distance;
+    return !Physics.isSolid(map, frontX, enemy.y + enemy.height / 2) &&
+      Physics.isSolid(map, frontX, enemy.y + enemy.height);
+  }
+
+  // Move an enemy by its velocity with map collision. Enemies keep their
+  // top-left corner in x/y rather than the pos_x/pos_y physics.js works on.
+  function moveWithMap(enemy, map, dt) {
+    const body = {
+      pos_x: enemy.x,
+      pos_y: enemy.y,
+      width: enemy.width,
+      height: enemy.height,
+      vel_x: enemy.vel_x,
+      vel_y: enemy.vel_y,
+      onGround: enemy.onGround
+    };
+    Physics.moveWithCollision(map, body, dt);
+
+    enemy.x = body.pos_x;
+    enemy.y = body.pos_y;
+    enemy.vel_x = body.vel_x;
+    enemy.vel_y = body.vel_y;
+    enemy.onGround = body.onGround;
+  }
+
+  // Check for ground where a hop from the enemy's position would come down
+  function hasLanding(enemy, world) {
+    const tuning = enemy.tuning;
+    const airTime = Math.abs(2 * tuning.hopSpeed / world.physics.gravity);
+    const distance = tuning.speed * airTime;
+    const landingX = enemy.x + enemy.width / 2 + (enemy.facingRight ? distance : -distance);
+    return Physics.isSolid(world.map, landingX, enemy.y + enemy.height);
+  }
+
+  // Check that no solid tile lies on the straight line between two points
+  function lineOfSight(map, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const steps = Math.ceil(Math.sqrt(dx * dx + dy * dy) / SIGHT_STEP);
+
+    for (let i = 1; i < steps; i++) {
+      if (Physics.isSolid(map, x1 + (dx * i) / steps, y1 + (dy * i) / steps)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Distance from the enemy's center to the player's center, or Infinity
+  // when the enemy can't see the player
+  function sightDistance(enemy, player, map) {
+    const ex = enemy.x + enemy.width / 2;
+    const ey = enemy.y + enemy.height / 2;
+    const px = player.pos_x + player.width / 2;
+    const py = player.pos_y + player.height / 2;
+    const distance = Math.sqrt((px - ex) * (px - ex) + (py - ey) * (py - ey));
+
+    if (distance > enemy.tuning.sightRadius || !lineOfSight(map, ex, ey, px, py)) {
+      return Infinity;
+    }
+    return distance;
+  }
+
+  // Switch an enemy's target, keeping the count of enemies chasing each player up to date
+  function setTarget(enemy, player, world) {
+    if (enemy.targetId && world.pursuers[enemy.targetId]) {
+      world.pursuers[enemy.targetId]--;
+    }
+    enemy.targetId = player ? player.id : '';
+    enemy.lostTimer = 0;
+    if (player) {
+      world.pursuers[player.id] = (world.pursuers[player.id] || 0) + 1;
+    }
+  }
+
+  // Remember where the target was last seen, which is where a chase heads
+  function sawTarget(enemy, player) {
+    enemy.targetX = player.pos_x + player.width / 2;
+    enemy.targetY = player.pos_y + player.height / 2;
+  }
+
+  // Keep track of the enemy's target. A visible target is kept; one out of
+  // sight is chased to where it was last seen until loseTime runs out. Without
+  // a target the enemy picks one of the players it can see, preferring those
+  // fewest other enemies are chasing, then the nearest, so several players
+  // share the enemies between them.
+  function updatePerception(enemy, world, dt) {
+    const target = enemy.targetId ?
+      world.players.find(player => player.id === enemy.targetId) : undefined;
+
+    if (target) {
+      if (sightDistance(enemy, target, world.map) < Infinity) {
+        enemy.lostTimer = 0;
+        sawTarget(enemy, target);
+        return;
+      }
+
+      enemy.lostTimer += dt;
+      if (enemy.lostTimer < enemy.tuning.loseTime) return;
+    }
+
+    let best = null;
+    let bestPursuers = Infinity;
+    let bestDistance = Infinity;
+    world.players.forEach(player => {
+      if (player === target) return;
+      const distance = sightDistance(enemy, player, world.map);
+      if (distance === Infinity) return;
+
+      const pursuers = world.pursuers[player.id] || 0;
+      if (pursuers < bestPursuers || (pursuers === bestPursuers && distance < bestDistance)) {
+        best = player;
+        bestPursuers = pursuers;
+        bestDistance = distance;
+      }
+    });
+
+    setTarget(enemy, best, world);
+    if (best) {
+      sawTarget(enemy, best);
+    }
+  }
+
+  // Count how many enemies chase each player, as updatePerception expects in world.pursuers
+  function countPursuers(enemies) {
+    const pursuers = {};
+    enemies.forEach(enemy => {
+      if (enemy.targetId && !enemy.defeated) {
+        pursuers[enemy.targetId] = (pursuers[enemy.targetId] || 0) + 1;
+      }
+    });
+    return pursuers;
+  }
+
+  // Set a boss walking again, with its next throw shootInterval away
+  function startBossWalk(enemy) {
+    enemy.state = 'walk';
+    enemy.behaviorTimer = enemy.tuning.shootInterval;
+  }
+
+  // Jump at the target so as to come down where it was last seen, no faster
+  // sideways than a charge
+  function leapAtTarget(enemy, world) {
+    const tuning = enemy.tuning;
+    const airTime = Math.abs(2 * tuning.leapSpeed / world.physics.gravity);
+    const dx = enemy.targetId ? enemy.targetX - (enemy.x + enemy.width / 2) : 0;
+    enemy.vel_x = Math.max(-tuning.chargeSpeed, Math.min(tuning.chargeSpeed, dx / airTime));
+    enemy.vel_y = tuning.leapSpeed;
+    enemy.onGround = false;
+    enemy.state = 'leap';
+  }
+
+  // Behaviors by name. start puts an enemy in the behavior's first state;
+  // update advances it by dt and records what happened in events.
+  const BEHAVIORS = {
+    // Rest on the ground, then hop towards the far patrol bound (or the
+    // target) under gravity
+    hop: {
+      start(enemy) {
+        enemy.state = 'idle';
+        enemy.behaviorTimer = enemy.tuning.hopDelay;
+      },
+
+      update(enemy, world, dt) {
+        const tuning = enemy.tuning;
+
+        if (enemy.onGround) {
+          enemy.vel_x = 0;
+          enemy.state = 'idle';
+          enemy.behaviorTimer -= dt;
+
+          if (enemy.behaviorTimer <= 0) {
+            chooseDirection(enemy);
+            enemy.behaviorTimer = tuning.hopDelay;
+
+            // A chasing slime waits rather than hop where there is no ground to land on
+            if (!enemy.targetId || hasLanding(enemy, world)) {
+              enemy.vel_x = enemy.facingRight ? tuning.speed : -tuning.speed;
+              enemy.vel_y = tuning.hopSpeed;
+              enemy.onGround = false;
+              enemy.state = 'hop';
+            }
+          }
+        }
+
+        enemy.vel_y += world.physics.gravity * dt;
+        moveWithMap(enemy, world.map, dt);
+
+        // A patrolling slime comes down at its bounds rather than hopping past them
+        const leaving = enemy.vel_x > 0 ? enemy.x >= enemy.rightBound : enemy.x <= enemy.leftBound;
+        if (!enemy.targetId && enemy.vel_x !== 0 && leaving) {
+          enemy.vel_x = 0;
+        }
+      }
+    },
+
+    // Pace between the patrol bounds (or walk after the target, up to walls
+    // and ledges), stopping every so often to shoot
+    patrol: {
+      start(enemy) {
+        enemy.state = 'walk';
+        enemy.behaviorTimer = enemy.tuning.shootInterval;
+      },
+
+      update(enemy, world, dt, events) {
+        const tuning = enemy.tuning;
+        enemy.behaviorTimer -= dt;
+
+        if (enemy.state === 'shoot') {
+          if (enemy.behaviorTimer <= 0) {
+            enemy.state = 'walk';
+            enemy.behaviorTimer = tuning.shootInterval;
+          }
+          return;
+        }
+
+        chooseDirection(enemy);
+        const step = tuning.speed * dt;
+        if (canWalk(enemy, world.map, step)) {
+          enemy.x += enemy.facingRight ? step : -step;
+        } else if (!enemy.targetId) {
+          enemy.facingRight = !enemy.facingRight;
+        }
+
+        if (enemy.behaviorTimer <= 0) {
+          enemy.state = 'shoot';
+          enemy.behaviorTimer = tuning.shootPause;
+          events.fired = true;
+        }
+      }
+    },
+
+    // Fly a sine wave between the patrol bounds, or after the target, and
+    // swoop at the target once in range, then climb back to the spawn height
+    fly: {
+      start(enemy) {
+        enemy.state = 'fly';
+        enemy.behaviorTimer = 0;
+        enemy.wavePhase = 0;
+      },
+
+      update(enemy, world, dt) {
+        const tuning = enemy.tuning;
+        enemy.behaviorTimer -= dt;
+
+        if (enemy.state === 'swoop') {
+          enemy.x += enemy.vel_x * dt;
+          enemy.y += enemy.vel_y * dt;
+
+          // The swoop ends where the player was, or early on hitting the ground
+          const blocked = Physics.isSolid(world.map, enemy.x + enemy.width / 2, enemy.y + enemy.height);
+          if (enemy.behaviorTimer <= 0 || blocked) {
+            enemy.state = 'return';
+          }
+          return;
+        }
+
+        pace(enemy, tuning.speed, dt);
+
+        if (enemy.state === 'return') {
+          const step = tuning.speed * dt;
+          const dy = enemy.originalY - enemy.y;
+          if (Math.abs(dy) <= step) {
+            enemy.y = enemy.originalY;
+            enemy.state = 'fly';
+            enemy.wavePhase = 0;
+            enemy.behaviorTimer = tuning.swoopCooldown;
+          } else {
+            enemy.y += Math.sign(dy) * step;
+          }
+          return;
+        }
+
+        enemy.wavePhase = (enemy.wavePhase + dt * tuning.frequency * 2 * Math.PI) % (2 * Math.PI);
+        enemy.y = enemy.originalY + Math.sin(enemy.wavePhase) * tuning.amplitude;
+
+        // Swoop only at a target in sight
+        if (!enemy.targetId || enemy.lostTimer > 0 || enemy.behaviorTimer > 0) return;
+
+        const dx = enemy.targetX - (enemy.x + enemy.width / 2);
+        const dy = enemy.targetY - (enemy.y + enemy.height / 2);
+        const distance = Math.max(1, Math.sqrt(dx * dx + dy * dy));
+        if (distance <= tuning.swoopRange) {
+          enemy.state = 'swoop';
+          enemy.vel_x = (dx / distance) * tuning.swoopSpeed;
+          enemy.vel_y = (dy / distance) * tuning.swoopSpeed;
+          enemy.facingRight = dx > 0;
+          enemy.behaviorTimer = distance / tuning.swoopSpeed;
+        }
+      }
+    },
+
+    // Sleep until the fight starts (see wakeBoss), then walk after the target
+    // and stop every so often to throw a boulder. From the second phase each
+    // throw is followed by a wind-up and a charge, from the third by a leap at
+    // the target, with walking and timers sped up by enrage. Bosses never
+    // leave their patrol bounds.
+    boss: {
+      start(enemy) {
+        enemy.state = 'sleep';
+        enemy.behaviorTimer = 0;
+      },
+
+      update(enemy, world, dt, events) {
+        const tuning = enemy.tuning;
+        const rate = enemy.phase >= 3 ? tuning.enrage : 1;
+        enemy.behaviorTimer -= dt * rate;
+
+        switch (enemy.state) {
+          case 'walk':
+            chooseDirection(enemy);
+            enemy.vel_x = (enemy.facingRight ? tuning.speed : -tuning.speed) * rate;
+            if (enemy.behaviorTimer <= 0) {
+              enemy.vel_x = 0;
+              enemy.state = 'shoot';
+              enemy.behaviorTimer = tuning.shootPause;
+              events.fired = true;
+            }
+            break;
+
+          case 'shoot':
+            if (enemy.behaviorTimer > 0) break;
+            if (enemy.phase >= 2) {
+              enemy.state = 'windup';
+              enemy.behaviorTimer = tuning.windupTime;
+            } else {
+              startBossWalk(enemy);
+            }
+            break;
+
+          case 'windup':
+            chooseDirection(enemy);
+            if (enemy.behaviorTimer > 0) break;
+            if (enemy.phase >= 3) {
+              leapAtTarget(enemy, world);
+            } else {
+              enemy.state = 'charge';
+              enemy.vel_x = enemy.facingRight ? tuning.chargeSpeed : -tuning.chargeSpeed;
+            }
+            break;
+
+          case 'leap':
+            if (enemy.onGround) {
+              enemy.vel_x = 0;
+              startBossWalk(enemy);
+            }
+            break;
+        }
+
+        enemy.vel_y += world.physics.gravity * dt;
+        moveWithMap(enemy, world.map, dt);
+
+        if (enemy.x < enemy.leftBound || enemy.x > enemy.rightBound) {
+          enemy.x = Math.max(enemy.leftBound, Math.min(enemy.rightBound, enemy.x));
+          enemy.vel_x = 0;
+        }
+
+        // A charge ends at a wall or the patrol bounds
+        if (enemy.state === 'charge' && enemy.vel_x === 0) {
+          startBossWalk(enemy);
+        }
+      }
+    }
+  };
+
+  // Tuning of an enemy type with a spawn's overrides applied
+  function enemyTuning(type, overrides) {
+    return { ...ENEMY_BEHAVIORS[type].tuning, ...overrides };
+  }
+
+  // Check a spawn's behavior overrides (undefined for none) against the
+  // settings its type has. Returns an error message, or null when valid.
+  function validateBehavior(type, overrides) {
+    if (overrides === undefined) return null;
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return 'must be an object of tuning settings';
+    }
+
+    const defaults = ENEMY_BEHAVIORS[type].tuning;
+    for (const key of Object.keys(overrides)) {
+      if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+        return `has unknown setting "${key}" for a ${type} (settings: ${Object.keys(defaults).join(', ')})`;
+      }
+      const value = overrides[key];
+      const kind = SETTING_KINDS[SETTING_RULES[key]];
+      if (typeof value !== 'number' || !isFinite(value) || Math.abs(value) > MAX_SETTING || !kind.test(value)) {
+        return `${key} must be ${kind.description}, at most ${MAX_SETTING} in size`;
+      }
+    }
+
+    // Each phase starts at a lower health than the one before
+    const tuning = enemyTuning(type, overrides);
+    let previous = 'health';
+    for (const setting of PHASE_THRESHOLDS) {
+      if (tuning[setting] === undefined) continue;
+      if (tuning[setting] >= tuning[previous]) {
+        return `${setting} must be below ${previous} (${tuning[previous]})`;
+      }
+      previous = setting;
+    }
+    return null;
+  }
+
+  // Phase of an enemy's attack pattern: the first, plus one for each phase
+  // threshold of its type its health has dropped to
+  function enemyPhase(enemy) {
+    return 1 + PHASE_THRESHOLDS.filter(setting =>
+      enemy.tuning[setting] !== undefined && enemy.health <= enemy.tuning[setting]
+    ).length;
+  }
+
+  // Take damage from a player's attack, moving the enemy on to the phase its
+  // health is now in. Returns whether the enemy is out of health. Damage
+  // during HURT_TIME after the last is ignored, so an attack that overlaps an
+  // enemy for a while counts once.
+  function hurtEnemy(enemy, damage) {
+    // A sleeping boss can't be hurt, e.g. by a dagger from outside its arena
+    if (enemy.hurtTimer > 0 || enemy.state === 'sleep') return false;
+    enemy.health = Math.max(0, enemy.health - damage);
+    enemy.hurtTimer = HURT_TIME;
+    enemy.phase = enemyPhase(enemy);
+    return enemy.health === 0;
+  }
+
+  function isBoss(enemy) {
+    return !!ENEMY_BEHAVIORS[enemy.type].boss;
+  }
+
+  // Check whether any boss of a level is still standing. Exits stay closed
+  // until none is.
+  function bossAlive(enemies) {
+    return enemies.some(enemy => isBoss(enemy) && !enemy.defeated);
+  }
+
+  // Start a sleeping boss's fight
+  function wakeBoss(enemy) {
+    if (enemy.state === 'sleep') {
+      startBossWalk(enemy);
+    }
+  }
+
+  // Arena a boss is fought in: its patrol bounds, including its own width,
+  // widened to whole tiles so the gates closing it off fit the map grid
+  function bossArena(enemy) {
+    return {
+      bossId: enemy.id,
+      left: Math.floor(enemy.leftBound / Tilemap.TILE_SIZE) * Tilemap.TILE_SIZE,
+      right: Math.ceil((enemy.rightBound + enemy.width) / Tilemap.TILE_SIZE) * Tilemap.TILE_SIZE
+    };
+  }
+
+  // Check whether a body is wholly between an arena's gates
+  function insideArena(arena, body) {
+    return body.pos_x >= arena.left && body.pos_x + body.width <= arena.right;
+  }
+
+  // Check whether a body stands where an arena's gates close
+  function blocksGates(arena, body) {
+    const touchesColumn = x => body.pos_x < x + Tilemap.TILE_SIZE && body.pos_x + body.width > x;
+    return touchesColumn(arena.left - Tilemap.TILE_SIZE) || touchesColumn(arena.right);
+  }
+
+  // Tiles that close an arena off: a column of gate tiles just outside each
+  // side, over every tile that isn't already a full block. Returned as
+  // [x, y, tile] entries, like a setTiles edit operation.
+  function arenaGates(map, arena) {
+    const gate = Tilemap.tileIndex('gate');
+    const tiles = [];
+    [arena.left / Tilemap.TILE_SIZE - 1, arena.right / Tilemap.TILE_SIZE].forEach(tx => {
+      if (tx < 0 || tx >= map.width) return;
+      for (let ty = 0; ty < map.height; ty++) {
+        if (Tilemap.getTileDef(Tilemap.getTile(map, tx, ty)).shape !== 'full') {
+          tiles.push([tx, ty, gate]);
+        }
+      }
+    });
+    return tiles;
+  }
+
+  // The entries of an arena's saved openTiles whose cells still hold a gate.
+  // Cells edited while the arena was locked keep their edit when it opens.
+  function gatesToOpen(map, openTiles) {
+    const gate = Tilemap.tileIndex('gate');
+    return openTiles.filter(([tx, ty]) => Tilemap.getTile(map, tx, ty) === gate);
+  }
+
+  // Put an enemy back at its spawn in its behavior's first state, as when it
+  // is created or respawns
+  function resetEnemy(enemy) {
+    enemy.x = enemy.originalX;
+    enemy.y = enemy.originalY;
+    enemy.vel_x = 0;
+    enemy.vel_y = 0;
+    enemy.onGround = false;
+    enemy.targetId = '';
+    enemy.lostTimer = 0;
+    enemy.health = enemy.tuning.health;
+    enemy.phase = enemyPhase(enemy);
+    enemy.hurtTimer = 0;
+    BEHAVIORS[ENEMY_BEHAVIORS[enemy.type].behavior].start(enemy);
+    return enemy;
+  }
+
+  // Advance a live enemy by dt seconds. world holds the map, the physics
+  // tuning, the bodies of the players the enemy can react to (each with an
+  // id) and the number of enemies chasing each player (see countPursuers).
+  // Returns the events of the step: fired is set when the enemy shoots.
+  function updateEnemy(enemy, world, dt) {
+    const events = { fired: false };
+    enemy.hurtTimer = Math.max(0, enemy.hurtTimer - dt);
+    updatePerception(enemy, world, dt);
+    BEHAVIORS[ENEMY_BEHAVIORS[enemy.type].behavior].update(enemy, world, dt, events);
+
+    // Enemies that fall out of the map start over at their spawn
+    if (enemy.y > Tilemap.pixelHeight(world.map)) {
+      resetEnemy(enemy);
+    }
+
+    enemy.animationTimer += dt;
+    if (enemy.animationTimer >= ANIMATION_INTERVAL) {
+      enemy.animationTimer = 0;
+      enemy.animationFrame = (enemy.animationFrame + 1) % 2;
+    }
+
+    return events;
+  }
+
+  return {
+    ENEMY_BEHAVIORS,
+    PHASE_THRESHOLDS,
+    enemyTuning,
+    validateBehavior,
+    resetEnemy,
+    updateEnemy,
+    countPursuers,
+    hurtEnemy,
+    isBoss,
+    bossAlive,
+    wakeBoss,
+    bossArena,
+    insideArena,
+    blocksGates,
+    arenaGates,
+    gatesToOpen
+  };
+});
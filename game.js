@@ -1,20 +1,45 @@
 // Game constants
-const TILE_SIZE = 16; // Each tile is 16x16 pixels
+const TILE_SIZE = Tilemap.TILE_SIZE; // Each tile is 16x16 pixels
 const SCALE = 1;      // Scale factor for rendering
 const MIN_JUMP_VELOCITY = -200; // Minimum jump velocity when releasing jump key early
 
-// Map dimensions
-const MAP_WIDTH = 1000;
-const MAP_HEIGHT = 240;
+// Map dimensions in tiles, used until the server sends its map
+const MAP_WIDTH = 64;
+const MAP_HEIGHT = 15;
 
 // Multiplayer settings
 const WS_SERVER_URL = 'ws://localhost:8080'; // Local server address
+// Wire protocols offered to the server, preferred first. Add ?protocol=json to the page URL to debug with JSON only.
+const WS_PROTOCOLS = new URLSearchParams(window.location.search).get('protocol') === 'json' ?
+    [Protocol.PROTOCOL_JSON] :
+    [Protocol.PROTOCOL_BINARY, Protocol.PROTOCOL_JSON];
 let socket = null;
 let playerId = null;
+const OFFLINE_PLAYER_ID = 'local'; // Stands in for the server's player id offline, so enemies can target us
+let sessionToken = null; // Secret from the server's welcome, lets a reconnect take our player back
+let roomCode = new URLSearchParams(window.location.search).get('room'); // Room to join, add ?room=code to the page URL to skip the lobby
+let roomPassword = null; // Password of the room, sent again when rejoining after a reconnect
+let currentRoom = null; // Members, host and ready states of our room, from the server's roomUpdate
+let inMatch = false; // Whether we are playing a room's match rather than waiting in the lobby
+let lobbyLevels = []; // Names of the levels a new room can start on
+const NAME_STORAGE_KEY = 'pixelknight.name'; // Where the display name is remembered between visits
 let otherPlayers = {}; // Store other players' data
 let lastServerUpdate = 0; // Timestamp of last server update
 let pendingInputs = []; // Store inputs that have been sent but not yet acknowledged
+let inputSequence = 0; // Sequence number of the last input sent to the server
+const MAX_PENDING_INPUTS = 120; // About two seconds of unacknowledged inputs at 60fps
+const CORRECTION_SNAP_DISTANCE = 32; // Server corrections larger than this (px) are applied instantly
+const CORRECTION_SMOOTHING = 10; // How fast small corrections are blended out (per second)
+const CHECKPOINT_RAISE_TIME = 500; // How long an activated checkpoint's flag takes to go up (ms)
+const INVINCIBLE_BLINK_INTERVAL = 100; // Time invincible players are shown or hidden while blinking (ms)
+const ENEMY_FLASH_TIME = 150; // How long an enemy that lost health is drawn flashing (ms)
+const RESTART_CONFIRM_TIME = 3000; // Time to press R a second time to restart the level mid-game (ms)
 let serverTimeOffset = 0; // Difference between server and client time
+let simulationRate = 60; // Server simulation ticks per second, from the handshake
+let lastSnapshotTick = -1; // Tick of the newest game state snapshot applied
+let snapshotInterval = 50; // Milliseconds between the last two snapshots, used for interpolation
+let snapshotHistory = {}; // Rebuilt snapshots by tick, baselines for the server's deltas
+const SNAPSHOT_HISTORY_SIZE = 64; // Snapshots kept as delta baselines
 let connectionInfo = { ip: '', status: 'disconnected' }; // Connection info for display
 
 // Canvas setup
@@ -27,6 +52,9 @@ let gameRunning = true;
 let score = 0;
 let lives = 3;
 
+// Movement tuning shared with the server (see physics.js), overwritten by the handshake
+const physics = { ...Physics.DEFAULT_PHYSICS };
+
 // Character properties
 const character = {
     width: 16,
@@ -35,25 +63,28 @@ const character = {
     pos_y: 100,
     vel_x: 0,
     vel_y: 0,
-    speed: 150,
-    jumpSpeed: -350,
-    gravity: 800, // Restore original gravity
     onGround: false,
     canJump: true,
     jumpCooldown: 0,
-    maxJumpCooldown: 0.2,
     facingRight: true,
     sprite: null,
     animationFrame: 0,
     animationTimer: 0, // Restore animation timer
-    forceJump: false, // Direct flag to force a jump
+    correctionX: 0, // Visual offset left over from the last server correction
+    correctionY: 0,
     // Sword attack properties
     attacking: false,
     attackCooldown: 0,
     attackDuration: 0.2,
     attackCooldownMax: 0.5,
     swordReach: 20,
-    swordDamage: 1
+    swordDamage: 1,
+    // Health, kept by the server while online
+    health: 3,
+    maxHealth: 3,
+    invincibleTimer: 0,
+    knockbackTimer: 0,
+    dead: false
 };
 
 // Camera properties
@@ -69,7 +100,6 @@ const keys = {
     left: false,
     right: false,
     jump: false,
-    jumpJustPressed: false,
     attack: false,
     attackJustPressed: false
 };
@@ -80,18 +110,50 @@ const KEY_CODES = {
     RIGHT: ['ArrowRight', 'KeyD'],
     JUMP: ['Space', 'ArrowUp', 'KeyW'],
     ATTACK: ['KeyX', 'KeyZ', 'ControlLeft', 'ControlRight'], // Attack keys
+    THROW: ['KeyF', 'KeyC'],
     DEBUG: ['Backquote', '`', 'Backtick'] // Add debug key codes
 };
 
 // Game objects
-let map = [];
+let map = Tilemap.createTilemap(MAP_WIDTH, MAP_HEIGHT);
 let collectibles = [];
 let enemies = [];
+let projectiles = []; // Bolts, daggers and boulders in flight, simulated by the server
+let arena = null; // Boss arena closed off while its fight is on: bossId, left and right edges
+let exits = []; // Doors and flags that complete the level
+let checkpoints = []; // Where players respawn once touched, the active one is marked
+let playerSpawn = { x: 50, y: 100 }; // Where players start the level and respawn, from the server
+let levelInfo = null; // Index, count and name of the current level
+let levelComplete = null; // Results shown on the level complete screen until the next level starts
+let restartVote = null; // Votes so far and votes needed while a vote to restart the level is open
+let restartConfirmUntil = 0; // Until when a second R press restarts the level, or votes to (ms)
 
 // Initialize the game
 let DEBUG_MODE = false; // Add debug mode flag
 let debugInfo = []; // Array to store debug visualization data
 
+// Level editor
+let EDITOR_MODE = false; // Toggled with F2
+const EDITOR_TOOLS = ['tile', 'platform', 'hole', 'coin', 'enemy', 'exit', 'checkpoint', 'spawn', 'delete']; // Selected with keys 1-9
+const EDITOR_PAN_SPEED = 300; // Camera pan speed in pixels per second
+const EDITOR_HEARTBEAT_INTERVAL = 3; // Seconds between heartbeats while editing, so the server keeps us connected
+const EDITOR_MAX_HISTORY = 100; // Edits that can be undone while offline
+const EDITOR_EXPORT_URL_LIFETIME = 10000; // How long an exported level's download link is kept, so the download can start (ms)
+const editor = {
+    tool: 'tile',
+    tile: Tilemap.tileIndex('grass'), // Tile painted by the tile tool
+    enemyType: 'slime',
+    exitType: 'flag',
+    name: 'Untitled', // Level name written to exported files
+    mouse: null, // Map position under the mouse, null when outside the canvas
+    drag: null, // Where the current mouse drag started and with which button
+    stroke: null, // Tiles painted or erased by the current drag, sent as one edit when it ends
+    history: { undo: [], redo: [] }, // Offline undo and redo stacks; online the server keeps them
+    nextOpId: 0,
+    heartbeatTimer: 0,
+    panel: null
+};
+
 // Sound system
 let soundEnabled = false; // Start with sound disabled until user interaction
 let audioContext = null;
@@ -101,7 +163,8 @@ const sounds = {
     damage: null,
     backgroundMusic: null,
     swordSwing: null, // Add sword swing sound
-    enemyDefeat: null // Add enemy defeat sound
+    enemyDefeat: null, // Add enemy defeat sound
+    checkpoint: null
 };
 
 // Initialize sounds
@@ -160,6 +223,15 @@ function initSounds() {
             return oscillator;
         }, 0.2);
         
+        // Checkpoint sound - two rising notes
+        sounds.checkpoint = createSound(function(time) {
+            const oscillator = audioContext.createOscillator();
+            oscillator.type = 'square';
+            oscillator.frequency.setValueAtTime(523, time);
+            oscillator.frequency.setValueAtTime(784, time + 0.12);
+            return oscillator;
+        }, 0.3);
+        
         // Background music - simple looping pattern
         sounds.backgroundMusic = createLoopingMusic();
         
@@ -372,10 +444,13 @@ function initWebSocket() {
     
     // Create WebSocket with error handling
     try {
-        socket = new WebSocket(WS_SERVER_URL);
+        // After a dropped connection, resume the session so we keep our player
+        const url = sessionToken ? `${WS_SERVER_URL}/?session=${sessionToken}` : WS_SERVER_URL;
+        socket = new WebSocket(url, WS_PROTOCOLS);
+        socket.binaryType = 'arraybuffer';
         
         socket.onopen = function() {
-            console.log("WebSocket connection established");
+            console.log("WebSocket connection established, protocol:", socket.protocol);
             // Update connection status UI
             updateConnectionStatus('connected');
             // Send initial connection message
@@ -388,7 +463,7 @@ function initWebSocket() {
                 console.log("Raw message from server:", event.data);
                 
                 // Check if message is empty or invalid
-                if (!event.data || event.data === "]" || event.data.trim() === "") {
+                if (!event.data || (typeof event.data === 'string' && (event.data === "]" || event.data.trim() === ""))) {
                     console.warn("Received empty or invalid message from server");
                     return;
                 }
@@ -408,6 +483,11 @@ function initWebSocket() {
             console.log("WebSocket connection closed:", event.code, event.reason);
             updateConnectionStatus('disconnected');
             
+            // Play offline until the connection is back, then rejoin the same room
+            inMatch = false;
+            currentRoom = null;
+            showLobby(null);
+            
             // Attempt to reconnect after 5 seconds
             setTimeout(function() {
                 console.log("Attempting to reconnect...");
@@ -453,56 +533,398 @@ function updateConnectionStatus(status) {
     updateIPDisplay(status);
 }
 
+// Send a lobby message to the server
+function sendLobbyMessage(data) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(data));
+    }
+}
+
+// Show one view of the lobby screen: 'rooms' (room list), 'room' (waiting
+// for the match to start) or null to hide the lobby while playing
+function showLobby(view) {
+    const lobby = document.getElementById('lobby');
+    if (!lobby) return;
+    
+    lobby.classList.toggle('hidden', view === null);
+    document.getElementById('lobby-rooms').classList.toggle('hidden', view !== 'rooms');
+    document.getElementById('lobby-room').classList.toggle('hidden', view !== 'room');
+    showLobbyError('');
+    
+    if (view === 'rooms') {
+        currentRoom = null;
+        sendLobbyMessage({ type: 'listRooms' });
+    }
+}
+
+// Show an error message on the lobby screen
+function showLobbyError(message) {
+    const element = document.getElementById('lobby-error');
+    if (element) {
+        element.textContent = message;
+    }
+}
+
+// Whether the lobby screen is showing
+function isLobbyVisible() {
+    const lobby = document.getElementById('lobby');
+    return !!lobby && !lobby.classList.contains('hidden');
+}
+
+// Fill in the lobby controls once the server has said hello
+function initializeLobby(defaultName) {
+    const levelSelect = document.getElementById('lobby-level');
+    if (!levelSelect) return;
+    
+    levelSelect.innerHTML = '';
+    lobbyLevels.forEach((name, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = name;
+        levelSelect.appendChild(option);
+    });
+    
+    // Use the name from the last visit, or the one the server made up
+    const nameInput = document.getElementById('lobby-name');
+    nameInput.value = localStorage.getItem(NAME_STORAGE_KEY) || nameInput.value || defaultName;
+    sendLobbyMessage({ type: 'setName', name: nameInput.value });
+}
+
+// Set up the lobby screen's buttons
+function setupLobby() {
+    if (!document.getElementById('lobby')) return;
+    
+    const onClick = (id, handler) => document.getElementById(id).addEventListener('click', function(e) {
+        e.preventDefault();
+        handler();
+    });
+    
+    document.getElementById('lobby-name').addEventListener('change', function() {
+        const name = this.value.trim();
+        if (name) {
+            localStorage.setItem(NAME_STORAGE_KEY, name);
+            sendLobbyMessage({ type: 'setName', name });
+        }
+    });
+    
+    onClick('lobby-refresh', () => sendLobbyMessage({ type: 'listRooms' }));
+    onClick('lobby-join', () => {
+        joinLobbyRoom(
+            document.getElementById('lobby-join-code').value.trim(),
+            document.getElementById('lobby-join-password').value
+        );
+    });
+    onClick('lobby-create', () => {
+        roomPassword = document.getElementById('lobby-password').value || null;
+        sendLobbyMessage({
+            type: 'createRoom',
+            level: Number(document.getElementById('lobby-level').value) || 0,
+            maxPlayers: Number(document.getElementById('lobby-max-players').value),
+            password: roomPassword,
+            editing: document.getElementById('lobby-editing').checked
+        });
+    });
+    
+    onClick('lobby-ready', () => {
+        const me = currentRoom && currentRoom.members.find(member => member.id === playerId);
+        if (me) {
+            sendLobbyMessage({ type: 'setReady', ready: !me.ready });
+        }
+    });
+    onClick('lobby-start', () => sendLobbyMessage({ type: 'startMatch' }));
+    onClick('lobby-leave', leaveRoom);
+}
+
+// Ask to join a room, remembering its password for reconnects
+function joinLobbyRoom(code, password) {
+    if (!code) {
+        showLobbyError('Enter a room code');
+        return;
+    }
+    roomPassword = password || null;
+    sendLobbyMessage({ type: 'joinRoom', room: code, password: roomPassword });
+}
+
+// Leave our room or match and go back to the room list
+function leaveRoom() {
+    roomCode = null;
+    roomPassword = null;
+    inMatch = false;
+    otherPlayers = {};
+    updatePlayerCount(1);
+    sendLobbyMessage({ type: 'leaveRoom' });
+    showLobby('rooms');
+}
+
+// Show the open rooms with their level, player count and a join button
+function renderRoomList(rooms) {
+    const body = document.querySelector('#lobby-room-list tbody');
+    if (!body) return;
+    
+    body.innerHTML = '';
+    if (rooms.length === 0) {
+        const cell = body.insertRow().insertCell();
+        cell.colSpan = 4;
+        cell.textContent = 'No rooms yet, create one below';
+        return;
+    }
+    
+    rooms.forEach(room => {
+        const row = body.insertRow();
+        row.insertCell().textContent = room.code + (room.locked ? ' (locked)' : '');
+        row.insertCell().textContent = room.levelName;
+        row.insertCell().textContent = `${room.players}/${room.maxPlayers}`;
+        
+        const button = document.createElement('button');
+        button.textContent = room.started ? 'Join match' : 'Join';
+        button.disabled = room.players >= room.maxPlayers;
+        button.addEventListener('click', function() {
+            let password = document.getElementById('lobby-join-password').value;
+            if (room.locked && !password) {
+                password = prompt(`Password for room ${room.code}`);
+                if (password === null) return;
+            }
+            joinLobbyRoom(room.code, password);
+        });
+        row.insertCell().appendChild(button);
+    });
+}
+
+// Show the members of our room and who is ready. Only the host can start,
+// once everyone else is ready.
+function renderRoom() {
+    const list = document.getElementById('lobby-members');
+    if (!list || !currentRoom) return;
+    
+    document.getElementById('lobby-room-title').textContent = `Room ${currentRoom.code}`;
+    document.getElementById('lobby-room-info').textContent =
+        `${currentRoom.levelName} - ${currentRoom.players}/${currentRoom.maxPlayers} players` +
+        (currentRoom.locked ? ' - password protected' : '') +
+        (currentRoom.editing ? ' - anyone edits' : '');
+    
+    list.innerHTML = '';
+    currentRoom.members.forEach(member => {
+        const item = document.createElement('li');
+        let text = member.name;
+        if (member.id === playerId) text += ' (you)';
+        if (member.id === currentRoom.host) text += ' - host';
+        else text += member.ready ? ' - ready' : ' - not ready';
+        item.textContent = text;
+        list.appendChild(item);
+    });
+    
+    const isHost = currentRoom.host === playerId;
+    const me = currentRoom.members.find(member => member.id === playerId);
+    const readyButton = document.getElementById('lobby-ready');
+    const startButton = document.getElementById('lobby-start');
+    readyButton.style.display = isHost ? 'none' : '';
+    readyButton.textContent = me && me.ready ? 'Not ready' : 'Ready';
+    startButton.style.display = isHost ? '' : 'none';
+    startButton.disabled = currentRoom.members.some(member => member.id !== currentRoom.host && !member.ready);
+}
+
+// Display name of a player in our room
+function playerDisplayName(id) {
+    const member = currentRoom && currentRoom.members.find(member => member.id === id);
+    return member ? member.name : `Player ${id.substring(id.length - 4)}`;
+}
+
 // Handle messages from the server
 function handleServerMessage(message) {
     try {
         // Log raw message for debugging
         console.log("Processing message from server");
         
-        // Check if message is empty or invalid
-        if (!message.data || message.data === "]" || message.data.trim() === "") {
-            console.warn("Received empty or invalid message from server");
-            return;
+        // Binary frames use the binary protocol, text frames are JSON
+        let data;
+        if (message.data instanceof ArrayBuffer) {
+            data = Protocol.decodeMessage(message.data);
+        } else {
+            // Check if message is empty or invalid
+            if (!message.data || message.data === "]" || message.data.trim() === "") {
+                console.warn("Received empty or invalid message from server");
+                return;
+            }
+            
+            data = JSON.parse(message.data);
         }
-        
-        const data = JSON.parse(message.data);
         console.log("Received message from server:", data.type);
 
         switch (data.type) {
-            case 'handshake':
+            case 'welcome':
+                console.log(data.resumed ? "Session resumed" : "New session");
+                playerId = data.playerId;
+                sessionToken = data.session;
+                lobbyLevels = data.levels;
+                initializeLobby(data.name);
+                
+                // A resumed session puts us back in our room by itself. Otherwise
+                // go back to the room we were in, or to the room in the page URL.
+                if (roomCode && !data.resumed) {
+                    sendLobbyMessage({ type: 'joinRoom', room: roomCode, password: roomPassword });
+                } else {
+                    showLobby('rooms');
+                }
+                break;
+                
+            case 'roomList':
+                renderRoomList(data.rooms);
+                break;
+                
+            case 'roomUpdate':
+                currentRoom = data.room;
+                roomCode = data.room.code;
+                renderRoom();
+                if (!inMatch) {
+                    showLobby('room');
+                }
+                break;
+                
+            case 'joinRejected':
+                roomCode = null;
+                roomPassword = null;
+                showLobby('rooms');
+                showLobbyError(`Could not join ${data.room || 'room'}: ${data.reason}`);
+                break;
+                
+            case 'startRejected':
+                showLobbyError(`Could not start: ${data.reason}`);
+                break;
+                
+            case 'handshake': {
                 console.log("Handshake received, player ID:", data.playerId);
                 console.log("Map data:", data.mapData ? data.mapData.length : 'None');
                 console.log("Enemies data:", data.enemiesData ? data.enemiesData.length : 'None');
                 console.log("Collectibles data:", data.collectiblesData ? data.collectiblesData.length : 'None');
                 
                 playerId = data.playerId;
-                initializeMapFromServer(data.mapData);
-                initializeEnemiesFromServer(data.enemiesData);
-                initializeCollectiblesFromServer(data.collectiblesData);
+                // Reconnect to the same room if the connection drops
+                roomCode = data.room;
+                console.log("Joined room:", roomCode);
+                inMatch = true;
+                showLobby(null);
+                
+                // Players and inputs of a previous room no longer apply
+                otherPlayers = {};
+                pendingInputs = [];
+                restartVote = null;
+                updatePlayerCount(1);
+                
+                // With the binary protocol the map follows in its own message
+                if (data.protocol !== Protocol.PROTOCOL_BINARY) {
+                    initializeMapFromServer(data.mapData);
+                }
+                initializeLevelFromServer(data);
                 updateCharacterProperties(data.characterProperties);
+                simulationRate = data.simulationRate || simulationRate;
+                snapshotInterval = data.snapshotRate ? 1000 / data.snapshotRate : snapshotInterval;
+                lastSnapshotTick = data.tick !== undefined ? data.tick : -1;
+                snapshotHistory = {};
                 serverTimeOffset = Date.now() - data.serverTime;
                 updateConnectionStatus('connected');
+                
+                // A resumed session carries on from where the server has our player
+                const start = data.player || { pos_x: playerSpawn.x, pos_y: playerSpawn.y, vel_x: 0, vel_y: 0 };
+                character.pos_x = start.pos_x;
+                character.pos_y = start.pos_y;
+                character.vel_x = start.vel_x;
+                character.vel_y = start.vel_y;
+                character.correctionX = 0;
+                character.correctionY = 0;
+                updateCharacterStatus(data.player || {
+                    score: 0,
+                    health: character.maxHealth,
+                    lives: 3,
+                    invincibleTimer: 0,
+                    dead: false
+                });
+                break;
+            }
+                
+            case 'map':
+                initializeMapFromServer(data.mapData);
+                break;
+                
+            case 'editOp':
+                // Edits by any player, in the order the server applied them
+                applyEditOp(data.op, data.entityId);
+                break;
+                
+            case 'editRejected':
+                console.warn(`Edit ${data.opId} rejected by server: ${data.reason}`);
+                break;
+                
+            case 'levelComplete':
+                console.log(`Level ${data.levelName} completed by ${data.playerId}`);
+                levelComplete = data;
+                break;
+                
+            case 'levelStart':
+                console.log("Level started:", data.level.name);
+                // Edits to the old level are discarded
+                if (EDITOR_MODE) {
+                    toggleEditorMode();
+                }
+                // Binary clients get the new map in a separate message
+                if (data.mapData) {
+                    initializeMapFromServer(data.mapData);
+                }
+                initializeLevelFromServer(data);
+                levelComplete = null;
+                restartVote = null;
+                
+                // Start over at the spawn point; snapshots of the old level are useless now
+                character.pos_x = playerSpawn.x;
+                character.pos_y = playerSpawn.y;
+                character.vel_x = 0;
+                character.vel_y = 0;
+                character.correctionX = 0;
+                character.correctionY = 0;
+                lastSnapshotTick = data.tick;
+                snapshotHistory = {};
                 break;
 
-            case 'gameState':
-                // Log the number of players in the game state
-                if (data.players) {
-                    console.log(`Game state received: ${Object.keys(data.players).length} players`);
-                    console.log("Player IDs in game state:", Object.keys(data.players).join(', '));
+            case 'gameState': {
+                // Ignore snapshots that arrive out of order
+                if (data.tick <= lastSnapshotTick) {
+                    break;
+                }
+                
+                // Rebuild the full snapshot from the delta
+                const snapshot = rebuildSnapshot(data);
+                if (!snapshot) {
+                    break;
                 }
                 
+                // Interpolate over the simulated time between the two snapshots
+                if (lastSnapshotTick >= 0) {
+                    snapshotInterval = (data.tick - lastSnapshotTick) * 1000 / simulationRate;
+                }
+                lastSnapshotTick = data.tick;
+                
+                // Log the number of players in the game state
+                console.log(`Game state received: ${Object.keys(snapshot.players).length} players`);
+                console.log("Player IDs in game state:", Object.keys(snapshot.players).join(', '));
+                
                 // Update local player position if server data exists
-                if (data.players && data.players[playerId]) {
-                    reconcilePlayerPosition(data.players[playerId]);
-                    console.log("Player position from server:", data.players[playerId].pos_x, data.players[playerId].pos_y);
+                if (snapshot.players[playerId]) {
+                    reconcilePlayerPosition(snapshot.players[playerId]);
+                    
+                    updateCharacterStatus(snapshot.players[playerId]);
+                    console.log("Player position from server:", snapshot.players[playerId].pos_x, snapshot.players[playerId].pos_y);
                     console.log("Local player position:", character.pos_x, character.pos_y);
                 }
                 
-                updateOtherPlayers(data.players);
-                updateEnemiesFromServer(data.enemies);
-                updateCollectiblesFromServer(data.collectibles);
+                updateOtherPlayers(snapshot.players);
+                // The editor works on its own copy of the level
+                if (!EDITOR_MODE) {
+                    updateEnemiesFromServer(snapshot.enemies);
+                    updateCollectiblesFromServer(snapshot.collectibles);
+                    updateProjectilesFromServer(snapshot.projectiles);
+                }
                 serverTimeOffset = Date.now() - data.serverTime;
                 break;
+            }
 
             case 'playerJoined':
                 if (data.playerId !== playerId) {
@@ -536,27 +958,74 @@ function handleServerMessage(message) {
                 }
                 break;
 
-            case 'enemyDefeated':
+            case 'entitySpawned':
+                // The editor works on its own copy of the level
+                if (!EDITOR_MODE) {
+                    addEntityFromServer(data.kind, data.entity);
+                }
+                break;
+                
+            case 'entityDespawned':
+                if (!EDITOR_MODE) {
+                    removeEntityFromServer(data.kind, data.id);
+                }
+                break;
+                
+            case 'enemyDefeated': {
                 // Handle enemy defeat
-                if (data.enemyIndex >= 0 && data.enemyIndex < enemies.length) {
-                    enemies[data.enemyIndex].defeated = true;
-                    
-                    // If this client defeated the enemy, add score
-                    if (data.playerId === playerId) {
-                        score += 50;
-                    }
+                const enemy = enemies.find(enemy => enemy.id === data.enemyId);
+                if (enemy) {
+                    enemy.defeated = true;
                     
                     // Play enemy defeat sound
                     playSound('enemyDefeat', 0.5);
                 }
                 break;
+            }
 
+            case 'arenaLocked':
+                // A boss fight started: the arena's gates close and the camera stays inside it
+                console.log(`Arena of boss ${data.bossId} locked`);
+                applyArenaTiles(data.tiles);
+                arena = { bossId: data.bossId, left: data.left, right: data.right };
+                break;
+                
+            case 'arenaUnlocked':
+                console.log(`Arena of boss ${data.bossId} unlocked`);
+                applyArenaTiles(data.tiles);
+                arena = null;
+                break;
+                
             case 'playerHit':
                 if (data.id === playerId) {
-                    loseLife(data.id);
+                    playSound('damage');
+                }
+                break;
+                
+            case 'playerDied':
+                console.log(`Player ${data.id} died, ${data.lives} lives left`);
+                if (data.id === playerId) {
+                    character.dead = true;
+                    lives = data.lives;
+                    updateHtmlUI();
                 }
                 break;
                 
+            case 'restartVote':
+                console.log(`Restart vote: ${data.votes}/${data.needed}`);
+                restartVote = data;
+                break;
+                
+            case 'checkpointActivated':
+                // Ours, or anyone's when the server shares checkpoints
+                console.log(`Checkpoint at ${data.x}, ${data.y} activated by ${data.playerId}`);
+                activateCheckpoint(findCheckpoint(data.x, data.y), true);
+                break;
+                
+            case 'playerRespawned':
+                console.log(`Player ${data.id} respawned`);
+                break;
+                
             default:
                 console.log("Unknown message type:", data.type);
         }
@@ -566,10 +1035,38 @@ function handleServerMessage(message) {
     }
 }
 
+// Apply a delta snapshot on top of its baseline and acknowledge it
+function rebuildSnapshot(data) {
+    let base = null;
+    if (data.baseTick >= 0) {
+        base = snapshotHistory[data.baseTick];
+        if (!base) {
+            console.warn(`Missing baseline snapshot ${data.baseTick}, waiting for a keyframe`);
+            return null;
+        }
+    }
+    
+    const snapshot = Snapshots.applyDelta(base, data);
+    snapshotHistory[data.tick] = snapshot;
+    
+    // Integer keys iterate in ascending order, so the oldest come first
+    const ticks = Object.keys(snapshotHistory);
+    for (let i = 0; i < ticks.length - SNAPSHOT_HISTORY_SIZE; i++) {
+        delete snapshotHistory[ticks[i]];
+    }
+    
+    // Let the server use this snapshot as the baseline for future deltas
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'ack', tick: data.tick }));
+    }
+    
+    return snapshot;
+}
+
 // Initialize map from server data
 function initializeMapFromServer(mapData) {
-    console.log("Initializing map from server data", mapData ? mapData.length : 'No map data');
-    if (!mapData || mapData.length === 0) {
+    console.log("Initializing map from server data", mapData ? `${mapData.width}x${mapData.height} tiles` : 'No map data');
+    if (!mapData || !mapData.tiles || mapData.tiles.length === 0) {
         console.error("Error: No map data received from server");
         // Create a fallback map if no data is received
         createMap();
@@ -578,6 +1075,25 @@ function initializeMapFromServer(mapData) {
     }
 }
 
+// Initialize enemies, collectibles, exits, checkpoints and level info sent with the handshake or a level start
+function initializeLevelFromServer(data) {
+    initializeEnemiesFromServer(data.enemiesData);
+    initializeCollectiblesFromServer(data.collectiblesData);
+    projectiles = (data.projectilesData || []).map(clientProjectile);
+    exits = data.exitsData || [];
+    checkpoints = (data.checkpointsData || []).map(checkpoint => ({ ...checkpoint }));
+    // Joining or resuming during a boss fight; the map already has its gates
+    arena = data.arena || null;
+    // A resumed session already has a checkpoint
+    if (data.checkpoint) {
+        activateCheckpoint(findCheckpoint(data.checkpoint.x, data.checkpoint.y), false);
+    }
+    if (data.playerSpawn) {
+        playerSpawn = data.playerSpawn;
+    }
+    levelInfo = data.level || null;
+}
+
 // Initialize collectibles from server data
 function initializeCollectiblesFromServer(collectiblesData) {
     console.log("Initializing collectibles from server data", collectiblesData ? collectiblesData.length : 'No collectibles data');
@@ -586,17 +1102,20 @@ function initializeCollectiblesFromServer(collectiblesData) {
         // Create fallback collectibles if no data is received
         createCollectibles();
     } else {
-        collectibles = collectiblesData.map(serverCollectible => {
-            return {
-                ...serverCollectible,
-                // Ensure pos_x and pos_y are set for client-side rendering
-                pos_x: serverCollectible.pos_x || serverCollectible.x,
-                pos_y: serverCollectible.pos_y || serverCollectible.y
-            };
-        });
+        collectibles = collectiblesData.map(clientCollectible);
     }
 }
 
+// Client copy of a collectible sent by the server
+function clientCollectible(serverCollectible) {
+    return {
+        ...serverCollectible,
+        // Ensure pos_x and pos_y are set for client-side rendering
+        pos_x: serverCollectible.pos_x || serverCollectible.x,
+        pos_y: serverCollectible.pos_y || serverCollectible.y
+    };
+}
+
 // Initialize enemies from server data
 function initializeEnemiesFromServer(enemiesData) {
     console.log("Initializing enemies from server data", enemiesData ? enemiesData.length : 'No enemies data');
@@ -605,62 +1124,105 @@ function initializeEnemiesFromServer(enemiesData) {
         // Create fallback enemies if no data is received
         createEnemies();
     } else {
-        enemies = enemiesData.map(serverEnemy => {
-            return {
-                ...serverEnemy,
-                // Add any client-specific properties needed for rendering
-                prevPos_x: serverEnemy.x,
-                prevPos_y: serverEnemy.y,
-                targetPos_x: serverEnemy.x,
-                targetPos_y: serverEnemy.y,
-                interpolationStart: performance.now()
-            };
-        });
+        enemies = enemiesData.map(clientEnemy);
     }
 }
 
+// Client copy of an enemy sent by the server
+function clientEnemy(serverEnemy) {
+    return {
+        ...serverEnemy,
+        // Add any client-specific properties needed for rendering
+        prevPos_x: serverEnemy.x,
+        prevPos_y: serverEnemy.y,
+        targetPos_x: serverEnemy.x,
+        targetPos_y: serverEnemy.y,
+        interpolationStart: performance.now()
+    };
+}
+
 // Update character properties from server data
 function updateCharacterProperties(properties) {
     console.log("Updating character properties from server:", properties);
     
     // Apply physics properties
-    if (properties.speed) character.speed = properties.speed;
-    if (properties.jumpSpeed) character.jumpSpeed = properties.jumpSpeed;
-    if (properties.gravity) character.gravity = properties.gravity;
-    if (properties.minJumpVelocity) character.minJumpVelocity = properties.minJumpVelocity;
-    
-    // Log the updated character properties
-    console.log("Updated character properties:", {
-        speed: character.speed,
-        jumpSpeed: character.jumpSpeed,
-        gravity: character.gravity,
-        minJumpVelocity: character.minJumpVelocity
-    });
+    if (properties.speed) physics.speed = properties.speed;
+    if (properties.jumpSpeed) physics.jumpSpeed = properties.jumpSpeed;
+    if (properties.gravity) physics.gravity = properties.gravity;
+    if (properties.minJumpVelocity) physics.minJumpVelocity = properties.minJumpVelocity;
+    if (properties.jumpCooldown !== undefined) physics.jumpCooldown = properties.jumpCooldown;
+    
+    // Apply sword timing so swings aren't predicted faster than the server allows
+    if (properties.attackDuration !== undefined) character.attackDuration = properties.attackDuration;
+    if (properties.attackCooldownMax !== undefined) character.attackCooldownMax = properties.attackCooldownMax;
+    if (properties.swordReach) character.swordReach = properties.swordReach;
+    if (properties.maxHealth) character.maxHealth = properties.maxHealth;
+    
+    // Log the updated physics properties
+    console.log("Updated physics properties:", physics);
 }
 
 // Reconcile player position with server data
 function reconcilePlayerPosition(serverPlayer) {
+    // Remember where prediction had us, to measure the correction afterwards
+    const predictedX = character.pos_x + character.correctionX;
+    const predictedY = character.pos_y + character.correctionY;
+    
     // Process pending inputs to see which ones have been acknowledged
     const serverSequence = serverPlayer.lastProcessedInput || 0;
     
     // Remove acknowledged inputs
     pendingInputs = pendingInputs.filter(input => input.sequence > serverSequence);
     
-    // Set position from server
+    // Rewind to the authoritative server state
     character.pos_x = serverPlayer.pos_x;
     character.pos_y = serverPlayer.pos_y;
     character.vel_x = serverPlayer.vel_x;
     character.vel_y = serverPlayer.vel_y;
     character.onGround = serverPlayer.onGround;
+    character.canJump = serverPlayer.canJump;
+    character.jumpCooldown = serverPlayer.jumpCooldown;
+    character.knockbackTimer = serverPlayer.knockbackTimer || 0;
     character.facingRight = serverPlayer.facingRight;
     
-    // Re-apply pending inputs
-    pendingInputs.forEach(input => {
-        // Apply input locally (simplified - actual implementation would need to match server physics)
-        if (input.keys.left) character.pos_x -= character.speed * input.dt;
-        if (input.keys.right) character.pos_x += character.speed * input.dt;
-        // Jump and other actions would be applied similarly
-    });
+    // Replay inputs the server has not processed yet through the shared physics.
+    // A dead character stays where the server has it.
+    if (!serverPlayer.dead) {
+        pendingInputs.forEach(input => {
+            Physics.stepPlayer(character, input.keys, map, physics, input.dt);
+        });
+    }
+    
+    // Blend small corrections out over a few frames, snap large ones
+    const errorX = predictedX - character.pos_x;
+    const errorY = predictedY - character.pos_y;
+    if (Math.hypot(errorX, errorY) < CORRECTION_SNAP_DISTANCE) {
+        character.correctionX = errorX;
+        character.correctionY = errorY;
+    } else {
+        character.correctionX = 0;
+        character.correctionY = 0;
+    }
+}
+
+// Apply the score, health, lives and death state the server keeps for our player
+function updateCharacterStatus(serverPlayer) {
+    score = serverPlayer.score;
+    lives = serverPlayer.lives;
+    character.health = serverPlayer.health;
+    character.invincibleTimer = serverPlayer.invincibleTimer;
+    character.dead = serverPlayer.dead;
+    updateHtmlUI();
+}
+
+// Decay the visual correction offset left by reconciliation
+function updateCorrection(dt) {
+    const decay = Math.exp(-CORRECTION_SMOOTHING * dt);
+    character.correctionX *= decay;
+    character.correctionY *= decay;
+    
+    if (Math.abs(character.correctionX) < 0.01) character.correctionX = 0;
+    if (Math.abs(character.correctionY) < 0.01) character.correctionY = 0;
 }
 
 // Update other players from server data
@@ -719,6 +1281,8 @@ function updateOtherPlayers(players) {
                 player.pos_y = players[id].pos_y;
                 player.facingRight = players[id].facingRight;
                 player.animationFrame = players[id].animationFrame;
+                player.invincibleTimer = players[id].invincibleTimer;
+                player.dead = players[id].dead;
                 player.interpolationStart = performance.now();
                 
                 // Update attack timer
@@ -747,74 +1311,179 @@ function updatePlayerCount(count) {
     }
 }
 
-// Update enemies from server data
+// Update enemies from a snapshot, which keys them by id
 function updateEnemiesFromServer(serverEnemies) {
-    // Update existing enemies with server data
-    serverEnemies.forEach((serverEnemy, index) => {
-        if (index < enemies.length) {
+    const enemiesById = {};
+    enemies.forEach(enemy => {
+        enemiesById[enemy.id] = enemy;
+    });
+    
+    Object.keys(serverEnemies).forEach(id => {
+        const serverEnemy = serverEnemies[id];
+        const enemy = enemiesById[id];
+        if (enemy) {
             // Store previous position for interpolation
-            enemies[index].prevPos_x = enemies[index].x;
-            enemies[index].prevPos_y = enemies[index].y;
+            enemy.prevPos_x = enemy.x;
+            enemy.prevPos_y = enemy.y;
             
             // Set target position from server
-            enemies[index].targetPos_x = serverEnemy.x;
-            enemies[index].targetPos_y = serverEnemy.y;
-            enemies[index].x = serverEnemy.x;
-            enemies[index].y = serverEnemy.y;
-            enemies[index].facingRight = serverEnemy.facingRight;
-            enemies[index].defeated = serverEnemy.defeated;
-            enemies[index].animationFrame = serverEnemy.animationFrame;
-            enemies[index].interpolationStart = performance.now();
+            enemy.targetPos_x = serverEnemy.x;
+            enemy.targetPos_y = serverEnemy.y;
+            enemy.x = serverEnemy.x;
+            enemy.y = serverEnemy.y;
+            enemy.facingRight = serverEnemy.facingRight;
+            enemy.defeated = serverEnemy.defeated;
+            if (serverEnemy.health < enemy.health) {
+                enemy.flashUntil = performance.now() + ENEMY_FLASH_TIME;
+            }
+            enemy.health = serverEnemy.health;
+            enemy.state = serverEnemy.state;
+            enemy.targetId = serverEnemy.targetId;
+            enemy.animationFrame = serverEnemy.animationFrame;
+            enemy.interpolationStart = performance.now();
         } else {
             // New enemy from server
-            enemies.push({
-                ...serverEnemy,
-                prevPos_x: serverEnemy.x,
-                prevPos_y: serverEnemy.y,
-                targetPos_x: serverEnemy.x,
-                targetPos_y: serverEnemy.y,
-                interpolationStart: performance.now()
-            });
+            enemies.push(clientEnemy({ ...serverEnemy, id: Number(id) }));
         }
     });
     
     // Remove enemies that are no longer in the server data
-    if (serverEnemies.length < enemies.length) {
-        enemies.length = serverEnemies.length;
-    }
+    enemies = enemies.filter(enemy => enemy.id in serverEnemies);
+}
+
+// Our player id, or the offline stand-in before the server gives us one
+function localPlayerId() {
+    return playerId || OFFLINE_PLAYER_ID;
 }
 
-// Update collectibles from server data
+// Update collectibles from a snapshot, which keys them by id
 function updateCollectiblesFromServer(serverCollectibles) {
-    // Update collectibles array with server data
-    serverCollectibles.forEach((serverCollectible, index) => {
-        if (index < collectibles.length) {
-            collectibles[index].collected = serverCollectible.collected;
-            collectibles[index].animationFrame = serverCollectible.animationFrame;
+    const collectiblesById = {};
+    collectibles.forEach(collectible => {
+        collectiblesById[collectible.id] = collectible;
+    });
+    
+    Object.keys(serverCollectibles).forEach(id => {
+        const serverCollectible = serverCollectibles[id];
+        const collectible = collectiblesById[id];
+        if (collectible) {
+            collectible.collected = serverCollectible.collected;
+            collectible.animationFrame = serverCollectible.animationFrame;
+        } else {
+            collectibles.push(clientCollectible({ ...serverCollectible, id: Number(id) }));
+        }
+    });
+    
+    collectibles = collectibles.filter(collectible => collectible.id in serverCollectibles);
+}
+
+// Client copy of a projectile sent by the server, interpolated like enemies
+function clientProjectile(serverProjectile) {
+    return {
+        ...serverProjectile,
+        prevPos_x: serverProjectile.x,
+        prevPos_y: serverProjectile.y,
+        targetPos_x: serverProjectile.x,
+        targetPos_y: serverProjectile.y,
+        interpolationStart: performance.now()
+    };
+}
+
+// Update projectiles from a snapshot, which keys them by id
+function updateProjectilesFromServer(serverProjectiles) {
+    const projectilesById = {};
+    projectiles.forEach(projectile => {
+        projectilesById[projectile.id] = projectile;
+    });
+    
+    Object.keys(serverProjectiles).forEach(id => {
+        const serverProjectile = serverProjectiles[id];
+        const projectile = projectilesById[id];
+        if (projectile) {
+            projectile.prevPos_x = projectile.x;
+            projectile.prevPos_y = projectile.y;
+            projectile.targetPos_x = serverProjectile.x;
+            projectile.targetPos_y = serverProjectile.y;
+            projectile.vel_x = serverProjectile.vel_x;
+            projectile.vel_y = serverProjectile.vel_y;
+            projectile.interpolationStart = performance.now();
+        } else {
+            projectiles.push(clientProjectile({ ...serverProjectile, id: Number(id) }));
         }
     });
+    
+    projectiles = projectiles.filter(projectile => projectile.id in serverProjectiles);
+}
+
+// Client-side list holding entities of a kind named in server messages
+function entityList(kind) {
+    switch (kind) {
+        case 'enemies': return enemies;
+        case 'collectibles': return collectibles;
+        case 'projectiles': return projectiles;
+        default: return null;
+    }
+}
+
+// Add an entity the server spawned during play. A snapshot may have
+// brought it in already.
+function addEntityFromServer(kind, entity) {
+    const list = entityList(kind);
+    if (!list || list.some(existing => existing.id === entity.id)) return;
+    
+    switch (kind) {
+        case 'enemies':
+            list.push(clientEnemy(entity));
+            break;
+        case 'collectibles':
+            list.push(clientCollectible(entity));
+            break;
+        case 'projectiles':
+            list.push(clientProjectile(entity));
+            break;
+    }
+}
+
+// Remove an entity the server despawned
+function removeEntityFromServer(kind, id) {
+    const list = entityList(kind);
+    if (!list) return;
+    
+    const index = list.findIndex(entity => entity.id === id);
+    if (index >= 0) {
+        list.splice(index, 1);
+    }
+}
+
+// Encode a message for the server using the negotiated protocol
+function encodeClientMessage(data) {
+    if (socket.protocol === Protocol.PROTOCOL_BINARY && Protocol.isBinaryType(data.type)) {
+        return Protocol.encodeMessage(data);
+    }
+    return JSON.stringify(data);
 }
 
-// Send player input to server
-function sendInputToServer() {
+// Send the input simulated this frame to the server
+function sendInputToServer(dt) {
     if (socket && socket.readyState === WebSocket.OPEN) {
         const input = {
             type: 'input',
-            keys: { ...keys },
-            sequence: pendingInputs.length > 0 ? pendingInputs[pendingInputs.length - 1].sequence + 1 : 1,
-            timestamp: performance.now()
+            keys: {
+                left: keys.left,
+                right: keys.right,
+                jump: keys.jump
+            },
+            sequence: ++inputSequence,
+            dt: dt
         };
         
-        socket.send(JSON.stringify(input));
+        socket.send(encodeClientMessage(input));
         
-        // Store input for client-side prediction
-        pendingInputs.push({
-            ...input,
-            dt: 1/60 // Assume 60fps for prediction
-        });
+        // Store input so it can be replayed on reconciliation
+        pendingInputs.push(input);
         
         // Limit pending inputs array size
-        if (pendingInputs.length > 20) {
+        if (pendingInputs.length > MAX_PENDING_INPUTS) {
             pendingInputs.shift();
         }
     }
@@ -843,7 +1512,6 @@ function init() {
     keys.left = false;
     keys.right = false;
     keys.jump = false;
-    keys.jumpJustPressed = false;
     keys.attack = false;
     keys.attackJustPressed = false;
     
@@ -852,7 +1520,7 @@ function init() {
     
     // Initialize with empty arrays until server data arrives
     console.log("Waiting for server data");
-    map = [];
+    map = Tilemap.createTilemap(MAP_WIDTH, MAP_HEIGHT);
     collectibles = [];
     enemies = [];
     
@@ -866,6 +1534,13 @@ function init() {
     // Add sound button
     createSoundButton();
     
+    // Add level editor controls
+    createEditorPanel();
+    setupEditorMouse();
+    
+    // Wire up the lobby screen shown while connected but not in a match
+    setupLobby();
+    
     // Start game loop
     lastTime = performance.now();
     requestAnimationFrame(gameLoop);
@@ -878,6 +1553,21 @@ function init() {
         }
     });
     
+    // Add level editor toggle and tool keys
+    window.addEventListener('keydown', function(e) {
+        if (e.key === 'F2') {
+            e.preventDefault();
+            if (!isLobbyVisible()) {
+                toggleEditorMode();
+            }
+        } else if (EDITOR_MODE && e.key >= '1' && e.key <= String(EDITOR_TOOLS.length)) {
+            selectEditorTool(EDITOR_TOOLS[Number(e.key) - 1]);
+        } else if (EDITOR_MODE && (e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y')) {
+            e.preventDefault();
+            undoEditorEdit(e.key === 'z' && !e.shiftKey);
+        }
+    });
+    
     // Enable sounds on user interaction
     const enableSoundOnInteraction = function() {
         enableSounds();
@@ -909,44 +1599,25 @@ function closeWebSocketConnection() {
 
 // Create the game map
 function createMap() {
-    // Initialize map as a 2D array
-    for (let y = 0; y < MAP_HEIGHT; y++) {
-        map[y] = [];
-        for (let x = 0; x < MAP_WIDTH; x++) {
-            map[y][x] = { type: 'empty', solid: false, color: '#000' };
-        }
-    }
+    map = Tilemap.createTilemap(MAP_WIDTH, MAP_HEIGHT);
     
     // Create ground
-    for (let x = 0; x < MAP_WIDTH; x++) {
-        map[MAP_HEIGHT - 1][x] = { type: 'ground', solid: true, color: '#8B4513' };
-        map[MAP_HEIGHT - 2][x] = { type: 'grass', solid: true, color: '#228B22' };
-    }
+    Tilemap.fillTiles(map, 0, MAP_HEIGHT - 1, MAP_WIDTH, 1, Tilemap.tileIndex('grass'));
     
-    // Create platforms
-    createPlatform(100, 180, 150);
-    createPlatform(300, 150, 100);
-    createPlatform(450, 120, 80);
-    createPlatform(600, 150, 120);
+    // Create platforms (tile coordinates)
+    createPlatform(6, 11, 10);
+    createPlatform(19, 9, 6);
+    createPlatform(28, 7, 5);
+    createPlatform(37, 9, 8);
     
-    // Create a hole in the ground
-    for (let x = 300; x <= 350; x++) {
-        map[MAP_HEIGHT - 1][x] = { type: 'empty', solid: false, color: '#000' };
-        map[MAP_HEIGHT - 2][x] = { type: 'empty', solid: false, color: '#000' };
-    }
-    
-    // Create another hole
-    for (let x = 500; x <= 530; x++) {
-        map[MAP_HEIGHT - 1][x] = { type: 'empty', solid: false, color: '#000' };
-        map[MAP_HEIGHT - 2][x] = { type: 'empty', solid: false, color: '#000' };
-    }
+    // Create holes in the ground
+    Tilemap.fillTiles(map, 19, MAP_HEIGHT - 1, 3, 1, Tilemap.tileIndex('empty'));
+    Tilemap.fillTiles(map, 31, MAP_HEIGHT - 1, 2, 1, Tilemap.tileIndex('empty'));
 }
 
-// Create a platform at the specified position
-function createPlatform(x, y, width) {
-    for (let i = 0; i < width; i++) {
-        map[y][x + i] = { type: 'platform', solid: true, color: '#8B4513' };
-    }
+// Create a platform at the specified tile position
+function createPlatform(tx, ty, width) {
+    Tilemap.fillTiles(map, tx, ty, width, 1, Tilemap.tileIndex('platform'));
 }
 
 // Create collectible items
@@ -955,7 +1626,12 @@ function createCollectibles() {
 
 // Add a collectible item
 function addCollectible(x, y, type) {
-    collectibles.push({
+    collectibles.push(createCollectible(x, y, type));
+}
+
+// Create a collectible item
+function createCollectible(x, y, type) {
+    return {
         x: x,
         y: y,
         width: 8,
@@ -964,35 +1640,44 @@ function addCollectible(x, y, type) {
         collected: false,
         animationFrame: 0,
         animationTimer: 0
-    });
+    };
 }
 
 // Create enemies
 function createEnemies() {
     // Add enemies at various positions
-    addEnemy(200, 238 - 16, 'slime', 150, 250);
-    addEnemy(400, 238 - 16, 'robot', 380, 480);
-    addEnemy(650, 148 - 16, 'bat', 600, 700);
+    addEnemy(200, 14 * TILE_SIZE - 16, 'slime', 150, 250);
+    addEnemy(400, 14 * TILE_SIZE - 16, 'robot', 380, 480);
+    addEnemy(650, 9 * TILE_SIZE - 16, 'bat', 600, 700);
 }
 
 // Add an enemy
-function addEnemy(x, y, type, leftBound, rightBound) {
-    enemies.push({
+function addEnemy(x, y, type, leftBound, rightBound, behavior) {
+    enemies.push(createEnemy(x, y, type, leftBound, rightBound, behavior));
+}
+
+// Create an enemy. behavior holds the spawn's tuning overrides, if any (see enemyai.js).
+function createEnemy(x, y, type, leftBound, rightBound, behavior) {
+    const size = EnemyAI.ENEMY_BEHAVIORS[type].size;
+    return EnemyAI.resetEnemy({
         x: x,
         y: y,
-        width: 16,
-        height: 16,
+        width: size.width,
+        height: size.height,
         type: type,
-        vel_x: 50,
+        vel_x: 0,
         vel_y: 0,
         leftBound: leftBound,
         rightBound: rightBound,
+        behavior: behavior,
+        tuning: EnemyAI.enemyTuning(type, behavior),
         facingRight: true,
         animationFrame: 0,
         animationTimer: 0,
         pixelMasks: createEnemyPixelMasks(type), // Add pixel masks for collision detection
         defeated: false, // Add a defeated state
         respawnTimer: 0, // Add respawn timer
+        scored: false, // Whether defeating this spawn has earned points this level
         originalX: x, // Store original position for respawning
         originalY: y
     });
@@ -1018,6 +1703,11 @@ function createEnemyPixelMasks(type) {
             masks.push(createBatMask(0)); // Frame 0
             masks.push(createBatMask(1)); // Frame 1
             break;
+        case 'golem':
+            // Create masks for both animation frames
+            masks.push(createGolemMask(0)); // Frame 0
+            masks.push(createGolemMask(1)); // Frame 1
+            break;
     }
     
     return masks;
@@ -1096,6 +1786,31 @@ function createBatMask(frame) {
     return mask;
 }
 
+// Create a pixel mask for a golem boss
+function createGolemMask(frame) {
+    const mask = create2DArray(32, 32, false);
+    
+    // Head and body
+    fillRectInMask(mask, 10, 2, 12, 8);
+    fillRectInMask(mask, 6, 10, 20, 14);
+    
+    if (frame === 0) {
+        // Arms down, legs together
+        fillRectInMask(mask, 2, 12, 4, 12);
+        fillRectInMask(mask, 26, 12, 4, 12);
+        fillRectInMask(mask, 9, 24, 6, 8);
+        fillRectInMask(mask, 17, 24, 6, 8);
+    } else {
+        // Arms raised, legs apart
+        fillRectInMask(mask, 2, 8, 4, 12);
+        fillRectInMask(mask, 26, 8, 4, 12);
+        fillRectInMask(mask, 7, 24, 6, 8);
+        fillRectInMask(mask, 19, 24, 6, 8);
+    }
+    
+    return mask;
+}
+
 // Create a 2D array filled with a default value
 function create2DArray(width, height, defaultValue) {
     const array = [];
@@ -1137,7 +1852,7 @@ function checkCharacterEnemyCollision(enemy) {
     };
     
     // Check if bounding boxes overlap
-    const boxesOverlap = checkRectCollision(
+    const boxesOverlap = Physics.checkRectCollision(
         characterBox.x, characterBox.y, characterBox.width, characterBox.height,
         enemyBox.x, enemyBox.y, enemyBox.width, enemyBox.height
     );
@@ -1433,46 +2148,56 @@ function setupEventListeners() {
 function handleKeyDown(e) {
     console.log('Key down:', e.code);
     
+    // Typing in the lobby's fields is not playing
+    if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT')) {
+        return;
+    }
+    
+    // Escape leaves the match for the lobby
+    if (e.code === 'Escape' && inMatch && !EDITOR_MODE) {
+        leaveRoom();
+        return;
+    }
+    
     // Prevent default for game controls
     if(['ArrowLeft', 'ArrowRight', 'ArrowUp', 'Space', 'KeyA', 'KeyD', 'KeyW', 'KeyX', 'KeyZ', 'ControlLeft', 'ControlRight'].includes(e.code)) {
         e.preventDefault();
     }
     
-    let inputChanged = false;
-    
     if(e.code === 'ArrowLeft' || e.code === 'KeyA') {
-        if (!keys.left) inputChanged = true;
         keys.left = true;
     }
     else if(e.code === 'ArrowRight' || e.code === 'KeyD') {
-        if (!keys.right) inputChanged = true;
         keys.right = true;
     }
     else if(e.code === 'Space' || e.code === 'ArrowUp' || e.code === 'KeyW') {
-        // Use the direct jump method that works for the button
-        console.log("Jump key pressed, calling doJump()");
-        doJump();
-        
-        // Still set the key state for variable jump height
-        if (!keys.jump) inputChanged = true;
+        // Jumping itself is handled by the shared physics step
         keys.jump = true;
-        keys.jumpJustPressed = true;
     }
     else if(KEY_CODES.ATTACK.includes(e.code)) {
         if (!keys.attack) {
             keys.attackJustPressed = true;
-            inputChanged = true;
         }
         keys.attack = true;
     }
-    else if(e.code === 'KeyR') {
-        resetGame();
+    else if(KEY_CODES.THROW.includes(e.code)) {
+        throwProjectile();
     }
-    
-    // Send input to server if any input changed
-    if (inputChanged) {
-        console.log("Input changed, sending to server:", JSON.stringify(keys));
-        sendInputToServer();
+    else if(e.code === 'KeyR') {
+        // Mid-game a first press only asks for confirmation, so a stray R doesn't throw the level away
+        const gameOver = !gameRunning || (character.dead && lives <= 0);
+        if (!gameOver && !restartVote && performance.now() >= restartConfirmUntil) {
+            restartConfirmUntil = performance.now() + RESTART_CONFIRM_TIME;
+            return;
+        }
+        restartConfirmUntil = 0;
+        
+        // Online the server restarts us after game over, or counts a vote to restart the level
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: 'restartRequest', confirmed: true }));
+        } else {
+            resetGame();
+        }
     }
 }
 
@@ -1480,32 +2205,19 @@ function handleKeyDown(e) {
 function handleKeyUp(e) {
     console.log('Key up:', e.code);
     
-    let inputChanged = false;
-    
     if(e.code === 'ArrowLeft' || e.code === 'KeyA') {
-        if (keys.left) inputChanged = true;
         keys.left = false;
     }
     else if(e.code === 'ArrowRight' || e.code === 'KeyD') {
-        if (keys.right) inputChanged = true;
         keys.right = false;
     }
     else if(e.code === 'Space' || e.code === 'ArrowUp' || e.code === 'KeyW') {
-        if (keys.jump) inputChanged = true;
         keys.jump = false;
-        keys.jumpJustPressed = false;
     }
     else if(KEY_CODES.ATTACK.includes(e.code)) {
-        if (keys.attack) inputChanged = true;
         keys.attack = false;
         keys.attackJustPressed = false;
     }
-    
-    // Send input to server if any input changed
-    if (inputChanged) {
-        console.log("Input changed, sending to server:", JSON.stringify(keys));
-        sendInputToServer();
-    }
 }
 
 // Set up button controls
@@ -1559,42 +2271,32 @@ function setupButtonControls() {
         keys.right = false;
     });
     
-    // Jump button - using direct jump method
-    jumpBtn.addEventListener('click', function() {
-        console.log("Jump button clicked!");
-        doJump();
+    // Jump button
+    jumpBtn.addEventListener('mousedown', function() {
+        keys.jump = true;
+    });
+    jumpBtn.addEventListener('mouseup', function() {
+        keys.jump = false;
+    });
+    jumpBtn.addEventListener('mouseleave', function() {
+        keys.jump = false;
     });
     jumpBtn.addEventListener('touchstart', function(e) {
         e.preventDefault();
-        console.log("Jump button touched!");
-        doJump();
+        keys.jump = true;
+    });
+    jumpBtn.addEventListener('touchend', function(e) {
+        e.preventDefault();
+        keys.jump = false;
     });
     
     console.log("Button controls set up");
 }
 
-// Direct jump function
-function doJump() {
-    console.log("doJump called, onGround =", character.onGround, "canJump =", character.canJump);
-    
-    if (character.onGround && character.canJump) {
-        console.log("JUMPING via direct method!");
-        character.vel_y = character.jumpSpeed;
-        character.onGround = false;
-        character.canJump = false;
-        character.jumpCooldown = 0.3;
-        character.pos_y -= 1; // Small boost to ensure leaving ground
-        character.forceJump = true;
-        
-        // Play jump sound
-        playSound('jump');
-    }
-}
-
 // Reset the game
 function resetGame() {
-    character.pos_x = 50;
-    character.pos_y = 200;
+    character.pos_x = playerSpawn.x;
+    character.pos_y = playerSpawn.y;
     character.vel_x = 0;
     character.vel_y = 0;
     score = 0;
@@ -1626,20 +2328,34 @@ function gameLoop(timestamp) {
 
 // Update game state
 function update(dt) {
+    // Nothing to play while waiting in the lobby
+    if (socket && socket.readyState === WebSocket.OPEN && !inMatch) {
+        return;
+    }
+    
+    if (EDITOR_MODE) {
+        updateEditor(dt);
+        return;
+    }
+    
     if (gameRunning) {
         // Interpolate other players
         interpolateOtherPlayers(dt);
         
-        // Interpolate enemies
-        interpolateEnemies(dt);
+        // Interpolate enemies and projectiles
+        interpolateEntities(enemies, dt);
+        interpolateEntities(projectiles, dt);
         
         // Update local player with client-side prediction
         if (socket && socket.readyState === WebSocket.OPEN) {
-            // Online mode: Use client-side prediction with server reconciliation
-            updateCharacter(dt);
-            console.log("Character position after update:", character.pos_x, character.pos_y);
-            console.log("Character velocity:", character.vel_x, character.vel_y);
-            console.log("Input keys:", JSON.stringify(keys));
+            // Online mode: predict locally and send the same input to the server,
+            // which replays it with the same dt for reconciliation. While dead
+            // the input is still sent so the server knows we are here.
+            if (!character.dead) {
+                updateCharacter(dt);
+            }
+            sendInputToServer(dt);
+            updateCorrection(dt);
         } else {
             // Offline mode: Use full local physics
             updateCharacter(dt);
@@ -1662,56 +2378,18 @@ function update(dt) {
 
 // Update character position and state
 function updateCharacter(dt) {
-    // Reset horizontal velocity
-    character.vel_x = 0;
+    // Apply input, gravity and movement with collision detection
+    const events = Physics.stepPlayer(character, keys, map, physics, dt);
     
-    // Apply input
-    if (keys.left) {
-        character.vel_x = -character.speed;
-        character.facingRight = false;
-        console.log("Moving left");
-    }
-    if (keys.right) {
-        character.vel_x = character.speed;
-        character.facingRight = true;
-        console.log("Moving right");
-    }
-    
-    // Handle jumping
-    if (keys.jumpJustPressed && character.onGround && character.canJump) {
-        character.vel_y = character.jumpSpeed;
-        character.onGround = false;
-        character.canJump = false;
-        character.jumpCooldown = 0.2; // 200ms cooldown
-        console.log("Jumping");
-        
+    if (events.jumped) {
         // Play jump sound
         playSound('jump');
-        
-        // Reset the jump just pressed flag
-        keys.jumpJustPressed = false;
-    }
-    
-    // Variable jump height
-    if (!keys.jump && character.vel_y < character.minJumpVelocity) {
-        character.vel_y = character.minJumpVelocity;
-    }
-    
-    // Apply gravity
-    character.vel_y += character.gravity * dt;
-    
-    // Handle jumping
-    if (character.jumpCooldown > 0) {
-        character.jumpCooldown -= dt;
     }
     
-    // Check if character is on ground
-    const wasOnGround = character.onGround;
-    character.onGround = checkGroundContact(character.pos_x, character.pos_y);
-    
-    // If character just landed, reset jump ability
-    if (!wasOnGround && character.onGround) {
-        character.canJump = true;
+    // Falling into a pit costs a life. Online the server decides when we die.
+    if (Physics.inKillZone(map, character) && !(socket && socket.readyState === WebSocket.OPEN)) {
+        console.log("Character fell into a pit");
+        loseLife();
     }
     
     // Handle sword attack
@@ -1740,318 +2418,23 @@ function updateCharacter(dt) {
         character.attacking = false;
         character.attackCooldown = character.attackCooldownMax;
     }
-    
-    // Move character with collision detection
-    moveWithCollision(dt);
-}
-
-// Move character with collision detection
-function moveWithCollision(dt) {
-    // Calculate new positions
-    const newPosX = character.pos_x + character.vel_x * dt;
-    const newPosY = character.pos_y + character.vel_y * dt;
-    
-    console.log("Current position:", character.pos_x, character.pos_y);
-    console.log("Velocity:", character.vel_x, character.vel_y);
-    console.log("New position:", newPosX, newPosY);
-    
-    // Horizontal movement with collision detection
-    const horizontalCollision = checkHorizontalCollision(newPosX, character.pos_y);
-    if (!horizontalCollision) {
-        character.pos_x = newPosX;
-    } else {
-        character.vel_x = 0; // Stop horizontal movement on collision
-        console.log("Horizontal collision detected");
-    }
-    
-    // Vertical movement with collision detection
-    const verticalCollision = checkVerticalCollision(character.pos_x, newPosY);
-    if (!verticalCollision) {
-        character.pos_y = newPosY;
-        if (character.vel_y > 0) {
-            character.onGround = false;
-        }
-    } else {
-        if (character.vel_y > 0) {
-            character.onGround = true;
-        }
-        character.vel_y = 0; // Stop vertical movement on collision
-        console.log("Vertical collision detected");
-    }
-    
-    // Ensure character stays within map bounds
-    if (character.pos_x < 0) {
-        character.pos_x = 0;
-    } else if (character.pos_x + character.width > MAP_WIDTH * TILE_SIZE) {
-        character.pos_x = MAP_WIDTH * TILE_SIZE - character.width;
-    }
-    
-    // Check if character fell off the map
-    if (character.pos_y > MAP_HEIGHT * TILE_SIZE) {
-        console.log("Character fell off the map");
-        character.pos_x = 50;
-        character.pos_y = 100;
-        character.vel_x = 0;
-        character.vel_y = 0;
-    }
-}
-
-// Check if character is in contact with the ground
-function checkGroundContact(x, y) {
-    const left = Math.floor(x);
-    const right = Math.floor(x + character.width - 1);
-    const bottom = Math.floor(y + character.height);
-    
-    // Reduce debug logging to avoid console spam
-    // console.log('Checking ground contact at bottom =', bottom);
-    
-    // Check multiple points along the bottom of the character
-    const checkPoints = Math.max(5, right - left + 1);
-    
-    // First check the center point for efficiency
-    const centerX = Math.floor(left + (right - left) / 2);
-    if (centerX >= 0 && centerX < MAP_WIDTH && bottom >= 0 && bottom < MAP_HEIGHT) {
-        if (map[bottom] && map[bottom][centerX] && map[bottom][centerX].solid) {
-            return true;
-        }
-    }
-    
-    // Then check other points
-    for (let i = 0; i < checkPoints; i++) {
-        const checkX = Math.floor(left + (i * (right - left) / (checkPoints - 1)));
-        
-        // Skip the center point as we already checked it
-        if (checkX === centerX) continue;
-        
-        // Make sure we're checking valid map coordinates
-        if (checkX >= 0 && checkX < MAP_WIDTH && bottom >= 0 && bottom < MAP_HEIGHT) {
-            if (map[bottom] && map[bottom][checkX] && map[bottom][checkX].solid) {
-                return true;
-            }
-        }
-    }
-    
-    // Also check the exact edges for better ground detection
-    if (left >= 0 && left < MAP_WIDTH && bottom >= 0 && bottom < MAP_HEIGHT) {
-        if (map[bottom] && map[bottom][left] && map[bottom][left].solid) {
-            return true;
-        }
-    }
-    
-    if (right >= 0 && right < MAP_WIDTH && bottom >= 0 && bottom < MAP_HEIGHT) {
-        if (map[bottom] && map[bottom][right] && map[bottom][right].solid) {
-            return true;
-        }
-    }
-    
-    return false;
-}
-
-// Check for horizontal collisions
-function checkHorizontalCollision(newX, y) {
-    // Use more precise collision detection with floating point values
-    const top = Math.floor(y);
-    const bottom = Math.floor(y + character.height - 1);
-    
-    // Check more points along the character's height for better collision detection
-    const checkPoints = Math.max(5, bottom - top + 1); // At least 5 check points
-    
-    if (character.vel_x > 0) { // Moving right
-        // Right collision (right wall)
-        const right = Math.floor(newX + character.width);
-        
-        // First check the center point for efficiency
-        const centerY = Math.floor(top + (bottom - top) / 2);
-        if (right >= 0 && right < MAP_WIDTH && centerY >= 0 && centerY < MAP_HEIGHT) {
-            if (map[centerY] && map[centerY][right] && map[centerY][right].solid) {
-                character.pos_x = right - character.width;
-                return true;
-            }
-        }
-        
-        // Check multiple points along the right side of the character
-        for (let i = 0; i < checkPoints; i++) {
-            const checkY = Math.floor(top + (i * (bottom - top) / (checkPoints - 1)));
-            
-            // Skip the center point as we already checked it
-            if (checkY === centerY) continue;
-            
-            // Make sure we're checking valid map coordinates
-            if (right >= 0 && right < MAP_WIDTH && checkY >= 0 && checkY < MAP_HEIGHT) {
-                if (map[checkY] && map[checkY][right] && map[checkY][right].solid) {
-                    character.pos_x = right - character.width;
-                    return true;
-                }
-            }
-        }
-        
-        // Additional check for the exact edges
-        if (right >= 0 && right < MAP_WIDTH && top >= 0 && top < MAP_HEIGHT) {
-            if (map[top] && map[top][right] && map[top][right].solid) {
-                character.pos_x = right - character.width;
-                return true;
-            }
-        }
-        
-        if (right >= 0 && right < MAP_WIDTH && bottom >= 0 && bottom < MAP_HEIGHT) {
-            if (map[bottom] && map[bottom][right] && map[bottom][right].solid) {
-                character.pos_x = right - character.width;
-                return true;
-            }
-        }
-    } else if (character.vel_x < 0) { // Moving left
-        // Left collision (left wall)
-        const left = Math.floor(newX);
-        
-        // First check the center point for efficiency
-        const centerY = Math.floor(top + (bottom - top) / 2);
-        if (left >= 0 && left < MAP_WIDTH && centerY >= 0 && centerY < MAP_HEIGHT) {
-            if (map[centerY] && map[centerY][left] && map[centerY][left].solid) {
-                character.pos_x = left + 1;
-                return true;
-            }
-        }
-        
-        // Check multiple points along the left side of the character
-        for (let i = 0; i < checkPoints; i++) {
-            const checkY = Math.floor(top + (i * (bottom - top) / (checkPoints - 1)));
-            
-            // Skip the center point as we already checked it
-            if (checkY === centerY) continue;
-            
-            // Make sure we're checking valid map coordinates
-            if (left >= 0 && left < MAP_WIDTH && checkY >= 0 && checkY < MAP_HEIGHT) {
-                if (map[checkY] && map[checkY][left] && map[checkY][left].solid) {
-                    character.pos_x = left + 1;
-                    return true;
-                }
-            }
-        }
-        
-        // Additional check for the exact edges
-        if (left >= 0 && left < MAP_WIDTH && top >= 0 && top < MAP_HEIGHT) {
-            if (map[top] && map[top][left] && map[top][left].solid) {
-                character.pos_x = left + 1;
-                return true;
-            }
-        }
-        
-        if (left >= 0 && left < MAP_WIDTH && bottom >= 0 && bottom < MAP_HEIGHT) {
-            if (map[bottom] && map[bottom][left] && map[bottom][left].solid) {
-                character.pos_x = left + 1;
-                return true;
-            }
-        }
-    }
-    
-    return false;
-}
-
-// Check for vertical collisions
-function checkVerticalCollision(x, newY) {
-    // Use more precise collision detection with floating point values
-    const left = Math.floor(x);
-    const right = Math.floor(x + character.width - 1);
-    
-    // Check more points along the character's width for better collision detection
-    const checkPoints = Math.max(5, right - left + 1); // At least 5 check points
-    
-    if (character.vel_y > 0) { // Moving down
-        // Bottom collision (floor)
-        const bottom = Math.floor(newY + character.height);
-        
-        // First check the center point for efficiency
-        const centerX = Math.floor(left + (right - left) / 2);
-        if (centerX >= 0 && centerX < MAP_WIDTH && bottom >= 0 && bottom < MAP_HEIGHT) {
-            if (map[bottom] && map[bottom][centerX] && map[bottom][centerX].solid) {
-                character.pos_y = bottom - character.height;
-                return true;
-            }
-        }
-        
-        // Check multiple points along the bottom of the character
-        for (let i = 0; i < checkPoints; i++) {
-            const checkX = Math.floor(left + (i * (right - left) / (checkPoints - 1)));
-            
-            // Skip the center point as we already checked it
-            if (checkX === centerX) continue;
-            
-            // Make sure we're checking valid map coordinates
-            if (checkX >= 0 && checkX < MAP_WIDTH && bottom >= 0 && bottom < MAP_HEIGHT) {
-                if (map[bottom] && map[bottom][checkX] && map[bottom][checkX].solid) {
-                    character.pos_y = bottom - character.height;
-                    return true;
-                }
-            }
-        }
-        
-        // Additional check for the exact edges
-        if (left >= 0 && left < MAP_WIDTH && bottom >= 0 && bottom < MAP_HEIGHT) {
-            if (map[bottom] && map[bottom][left] && map[bottom][left].solid) {
-                character.pos_y = bottom - character.height;
-                return true;
-            }
-        }
-        
-        if (right >= 0 && right < MAP_WIDTH && bottom >= 0 && bottom < MAP_HEIGHT) {
-            if (map[bottom] && map[bottom][right] && map[bottom][right].solid) {
-                character.pos_y = bottom - character.height;
-                return true;
-            }
-        }
-    } else if (character.vel_y < 0) { // Moving up
-        // Top collision (ceiling)
-        const top = Math.floor(newY);
-        
-        // First check the center point for efficiency
-        const centerX = Math.floor(left + (right - left) / 2);
-        if (centerX >= 0 && centerX < MAP_WIDTH && top >= 0 && top < MAP_HEIGHT) {
-            if (map[top] && map[top][centerX] && map[top][centerX].solid) {
-                character.pos_y = top + 1;
-                return true;
-            }
-        }
-        
-        // Check multiple points along the top of the character
-        for (let i = 0; i < checkPoints; i++) {
-            const checkX = Math.floor(left + (i * (right - left) / (checkPoints - 1)));
-            
-            // Skip the center point as we already checked it
-            if (checkX === centerX) continue;
-            
-            // Make sure we're checking valid map coordinates
-            if (checkX >= 0 && checkX < MAP_WIDTH && top >= 0 && top < MAP_HEIGHT) {
-                if (map[top] && map[top][checkX] && map[top][checkX].solid) {
-                    character.pos_y = top + 1;
-                    return true;
-                }
-            }
-        }
-        
-        // Additional check for the exact edges
-        if (left >= 0 && left < MAP_WIDTH && top >= 0 && top < MAP_HEIGHT) {
-            if (map[top] && map[top][left] && map[top][left].solid) {
-                character.pos_y = top + 1;
-                return true;
-            }
-        }
-        
-        if (right >= 0 && right < MAP_WIDTH && top >= 0 && top < MAP_HEIGHT) {
-            if (map[top] && map[top][right] && map[top][right].solid) {
-                character.pos_y = top + 1;
-                return true;
-            }
-        }
-    }
-    
-    return false;
 }
 
-// Update enemies
+// Update enemies (offline; online the server runs them)
 function updateEnemies(dt) {
+    const world = {
+        map,
+        physics,
+        players: character.dead ? [] : [{ ...character, id: localPlayerId() }],
+        pursuers: EnemyAI.countPursuers(enemies)
+    };
+    
     enemies.forEach(enemy => {
         // Handle defeated enemies
         if (enemy.defeated) {
+            // Bosses stay down for the rest of the level
+            if (EnemyAI.isBoss(enemy)) return;
+            
             // Increment respawn timer
             enemy.respawnTimer += dt;
             
@@ -2059,35 +2442,72 @@ function updateEnemies(dt) {
             if (enemy.respawnTimer >= 5) {
                 enemy.defeated = false;
                 enemy.respawnTimer = 0;
-                enemy.x = enemy.originalX;
-                enemy.y = enemy.originalY;
-                enemy.vel_x = 50 * (Math.random() > 0.5 ? 1 : -1); // Randomize direction
-                enemy.facingRight = enemy.vel_x > 0;
+                EnemyAI.resetEnemy(enemy);
             }
             return;
         }
         
-        // Move enemy
-        enemy.x += enemy.vel_x * dt;
-        
-        // Check bounds and reverse direction if needed
-        if (enemy.x <= enemy.leftBound) {
-            enemy.x = enemy.leftBound;
-            enemy.vel_x = Math.abs(enemy.vel_x);
-            enemy.facingRight = true;
-        } else if (enemy.x >= enemy.rightBound) {
-            enemy.x = enemy.rightBound;
-            enemy.vel_x = -Math.abs(enemy.vel_x);
-            enemy.facingRight = false;
-        }
+        EnemyAI.updateEnemy(enemy, world, dt);
+    });
+    
+    updateOfflineArena();
+}
+
+// Close a boss's arena once we are inside it, and open it again when the boss
+// is beaten or we left (offline; online the server does this). Leaving sends
+// the boss back to sleep at full health.
+function updateOfflineArena() {
+    if (arena) {
+        // An arena the server locked waits for the server while we reconnect
+        if (!arena.boss) return;
         
-        // Update animation
-        enemy.animationTimer += dt;
-        if (enemy.animationTimer > 0.2) {
-            enemy.animationTimer = 0;
-            enemy.animationFrame = (enemy.animationFrame + 1) % 2;
+        if (arena.boss.defeated || !EnemyAI.insideArena(arena, character)) {
+            if (!arena.boss.defeated) {
+                EnemyAI.resetEnemy(arena.boss);
+            }
+            applyArenaTiles(EnemyAI.gatesToOpen(map, arena.openTiles));
+            arena = null;
         }
-    });
+        return;
+    }
+    
+    const boss = enemies.find(enemy => !enemy.defeated && EnemyAI.isBoss(enemy) &&
+        EnemyAI.insideArena(EnemyAI.bossArena(enemy), character));
+    if (!boss) return;
+    
+    const bossArena = EnemyAI.bossArena(boss);
+    const gates = EnemyAI.arenaGates(map, bossArena);
+    arena = {
+        ...bossArena,
+        boss,
+        openTiles: gates.map(([tx, ty]) => [tx, ty, Tilemap.getTile(map, tx, ty)]) // What the gates replaced
+    };
+    applyArenaTiles(gates);
+    EnemyAI.wakeBoss(boss);
+}
+
+// Set the tiles an arena's gates close or open, as [x, y, tile] entries
+function applyArenaTiles(tiles) {
+    tiles.forEach(([tx, ty, tile]) => Tilemap.setTile(map, tx, ty, tile));
+}
+
+// Hurt an enemy while playing offline, scoring the first time that defeats
+// it. Returns whether the enemy was defeated.
+function hurtEnemyOffline(enemy) {
+    const health = enemy.health;
+    const defeated = EnemyAI.hurtEnemy(enemy, 1);
+    if (enemy.health < health) {
+        enemy.flashUntil = performance.now() + ENEMY_FLASH_TIME;
+    }
+    if (!defeated) return false;
+    
+    enemy.defeated = true;
+    if (!enemy.scored) {
+        enemy.scored = true;
+        score += EnemyAI.isBoss(enemy) ? 500 : 50;
+        updateHtmlUI();
+    }
+    return true;
 }
 
 // Update collectibles
@@ -2109,9 +2529,19 @@ function updateCamera() {
     // Center camera on character
     camera.x = character.pos_x - canvas.width / 2;
     
+    // Keep to the boss arena we are fighting in, centered on it when it is narrower than the screen
+    if (arena && EnemyAI.insideArena(arena, character)) {
+        if (arena.right - arena.left <= canvas.width) {
+            camera.x = (arena.left + arena.right - canvas.width) / 2;
+        } else {
+            camera.x = Math.min(Math.max(camera.x, arena.left), arena.right - canvas.width);
+        }
+    }
+    
     // Clamp camera to map bounds
+    const mapWidth = Tilemap.pixelWidth(map);
+    if (camera.x > mapWidth - canvas.width) camera.x = mapWidth - canvas.width;
     if (camera.x < 0) camera.x = 0;
-    if (camera.x > MAP_WIDTH - canvas.width) camera.x = MAP_WIDTH - canvas.width;
 }
 
 // Check for collisions with collectibles and enemies
@@ -2120,8 +2550,8 @@ function checkCollisions() {
     // The server is the authority on enemy collisions
     
     // Check for collectible collisions (client-side prediction)
-    collectibles.forEach((coin, index) => {
-        if (!coin.collected && checkRectCollision(
+    collectibles.forEach(coin => {
+        if (!coin.collected && Physics.checkRectCollision(
             character.pos_x, character.pos_y, character.width, character.height,
             coin.pos_x || coin.x, coin.pos_y || coin.y, coin.width, coin.height
         )) {
@@ -2131,17 +2561,17 @@ function checkCollisions() {
             // Play sound
             playSound('coin', 0.5);
             
-            // Increment score
-            score += 10;
-            updateHtmlUI();
-            
-            // Send collect message to server
+            // Send collect message to server, which checks the pickup and
+            // awards the score. Offline the score is kept here.
             if (socket && socket.readyState === WebSocket.OPEN) {
                 socket.send(JSON.stringify({
                     type: 'collectCoin',
-                    coinIndex: index,
+                    coinId: coin.id,
                     timestamp: performance.now()
                 }));
+            } else {
+                score += 10;
+                updateHtmlUI();
             }
         }
     });
@@ -2149,6 +2579,16 @@ function checkCollisions() {
     // Check for enemy collisions (client-side prediction only)
     // The server is authoritative for these collisions
     if (!socket || socket.readyState !== WebSocket.OPEN) {
+        // Touching a checkpoint activates it; online the server tells us
+        checkpoints.forEach(checkpoint => {
+            if (!checkpoint.active && Physics.checkRectCollision(
+                character.pos_x, character.pos_y, character.width, character.height,
+                checkpoint.x, checkpoint.y, checkpoint.width, checkpoint.height
+            )) {
+                activateCheckpoint(checkpoint, true);
+            }
+        });
+        
         // Only do full enemy collision detection in offline mode
         enemies.forEach(enemy => {
             // Skip defeated enemies
@@ -2172,9 +2612,8 @@ function checkCollisions() {
                 character.pos_x + character.width - 4 > enemy.x) {
                 
                 // Character is landing on top of enemy
-                character.vel_y = character.jumpSpeed * 0.7; // Bounce
-                enemy.defeated = true; // Defeat the enemy
-                score += 50;
+                character.vel_y = physics.jumpSpeed * 0.7; // Bounce
+                hurtEnemyOffline(enemy);
                 
                 // Play jump sound (reuse for bounce)
                 playSound('jump', 0.15);
@@ -2193,7 +2632,7 @@ function checkCollisions() {
         // In online mode, just do basic collision detection for visual feedback
         // The server will handle the actual collision logic
         enemies.forEach(enemy => {
-            if (!enemy.defeated && checkRectCollision(
+            if (!enemy.defeated && Physics.checkRectCollision(
                 character.pos_x, character.pos_y, character.width, character.height,
                 enemy.x, enemy.y, enemy.width, enemy.height
             )) {
@@ -2211,30 +2650,30 @@ function checkCollisions() {
     }
 }
 
-// Check if two rectangles are colliding
-function checkRectCollision(x1, y1, w1, h1, x2, y2, w2, h2) {
-    return x1 < x2 + w2 && x1 + w1 > x2 && y1 < y2 + h2 && y1 + h1 > y2;
+// Lose a life while playing offline and start over at the active checkpoint,
+// or the spawn point before any checkpoint was reached
+function loseLife() {
+    lives--;
+    updateHtmlUI();
+    if (lives <= 0) {
+        gameRunning = false;
+        return;
+    }
+    
+    const checkpoint = checkpoints.find(other => other.active);
+    character.pos_x = checkpoint ? checkpoint.x + (checkpoint.width - character.width) / 2 : playerSpawn.x;
+    character.pos_y = checkpoint ? checkpoint.y + checkpoint.height - character.height : playerSpawn.y;
+    character.vel_x = 0;
+    character.vel_y = 0;
 }
 
-// Lose a life
-function loseLife(id) {
-    if(id == playerId) {
-        lives--;
-        if (lives <= 0) {
-            gameRunning = false;
-        } else {
-            // Reset character position
-            character.pos_x = 50;
-            character.pos_y = 200;
-            character.vel_x = 0;
-            character.vel_y = 0;
-        }
-    } else {
-        otherPlayers[id].pos_x = 50;
-        otherPlayers[id].pos_y = 200;
-        otherPlayers[id].vel_x = 0;
-        otherPlayers[id].vel_y = 0;
+// Whether a player is not drawn this frame: dead, or blinking while invincible
+function isHidden(player) {
+    if (player.dead) {
+        return true;
     }
+    return player.invincibleTimer > 0 &&
+        Math.floor(performance.now() / INVINCIBLE_BLINK_INTERVAL) % 2 === 0;
 }
 
 // Render the game
@@ -2245,8 +2684,17 @@ function render() {
     
     // Draw game elements
     drawMap();
+    drawExits();
+    drawCheckpoints();
     drawCollectibles();
     drawEnemies();
+    drawProjectiles();
+    
+    // The editor previews the level with the same drawing code, without players
+    if (EDITOR_MODE) {
+        drawEditorOverlay();
+        return;
+    }
     
     // Draw other players
     drawOtherPlayers();
@@ -2266,9 +2714,15 @@ function render() {
     // Draw debug visualization if enabled
     if (DEBUG_MODE) {
         renderDebugInfo();
+        drawEnemyTargets();
+    }
+    
+    if (levelComplete) {
+        drawLevelComplete();
     }
     
-    if (!gameRunning) {
+    // Out of lives online, or game over offline
+    if (!gameRunning || (character.dead && lives <= 0)) {
         drawGameOver();
     }
 }
@@ -2309,18 +2763,136 @@ function renderDebugInfo() {
     });
 }
 
+// Debug view of enemy perception: each enemy's sight radius and a line to the player it is chasing
+function drawEnemyTargets() {
+    enemies.forEach(enemy => {
+        if (enemy.defeated) return;
+        
+        const centerX = enemy.x + enemy.width / 2 - camera.x;
+        const centerY = enemy.y + enemy.height / 2;
+        
+        if (enemy.tuning) {
+            ctx.strokeStyle = 'rgba(255, 255, 0, 0.3)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, enemy.tuning.sightRadius, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        
+        const target = enemy.targetId === localPlayerId() ? character : otherPlayers[enemy.targetId];
+        if (enemy.targetId && target) {
+            ctx.strokeStyle = '#FF0000';
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY);
+            ctx.lineTo(target.pos_x + target.width / 2 - camera.x, target.pos_y + target.height / 2);
+            ctx.stroke();
+        }
+    });
+}
+
 // Draw the map
 function drawMap() {
-    const startX = Math.floor(camera.x);
-    const endX = Math.min(Math.ceil(camera.x + canvas.width), MAP_WIDTH);
-    
-    for (let y = 0; y < MAP_HEIGHT; y++) {
-        for (let x = startX; x < endX; x++) {
-            if (map[y] && map[y][x] && map[y][x].type !== 'empty') {
-                ctx.fillStyle = map[y][x].color;
-                ctx.fillRect(x - camera.x, y, 1, 1);
+    const tileSize = map.tileSize;
+    const startX = Math.max(0, Math.floor(camera.x / tileSize));
+    const endX = Math.min(Math.ceil((camera.x + canvas.width) / tileSize), map.width);
+    
+    for (let ty = 0; ty < map.height; ty++) {
+        for (let tx = startX; tx < endX; tx++) {
+            const tile = Tilemap.getTileDef(Tilemap.getTile(map, tx, ty));
+            if (!tile.solid) continue;
+            
+            // Draw the tile's collision shape so what you see is what you stand on
+            const shape = Tilemap.COLLISION_SHAPES[tile.shape];
+            const x = Math.floor(tx * tileSize - camera.x) + shape[0];
+            const y = ty * tileSize + shape[1];
+            
+            ctx.fillStyle = tile.color;
+            ctx.fillRect(x, y, shape[2], shape[3]);
+            
+            // Grass or highlight along the top edge
+            if (tile.topColor) {
+                ctx.fillStyle = tile.topColor;
+                ctx.fillRect(x, y, shape[2], 2);
+            }
+        }
+    }
+}
+
+// Draw level exits
+function drawExits() {
+    // Exits stay closed until the level's boss is beaten
+    const closed = EnemyAI.bossAlive(enemies);
+    
+    exits.forEach(exit => {
+        const x = Math.floor(exit.x - camera.x);
+        if (x + exit.width < 0 || x > canvas.width) return;
+        
+        if (exit.type === 'door') {
+            // Wooden door with a frame and a knob
+            ctx.fillStyle = '#5C3317';
+            ctx.fillRect(x, exit.y, exit.width, exit.height);
+            ctx.fillStyle = '#8B5A2B';
+            ctx.fillRect(x + 2, exit.y + 2, exit.width - 4, exit.height - 2);
+            ctx.fillStyle = '#FFD700';
+            ctx.fillRect(x + exit.width - 5, exit.y + Math.floor(exit.height / 2), 2, 2);
+        } else {
+            // Flag on a pole, waving with time
+            const wave = Math.floor(Date.now() / 250) % 2;
+            ctx.fillStyle = '#DDDDDD';
+            ctx.fillRect(x + 2, exit.y, 2, exit.height);
+            ctx.fillStyle = '#FF3333';
+            ctx.fillRect(x + 4, exit.y + 1 + wave, exit.width - 6, 8);
+        }
+        
+        if (closed) {
+            // Iron bars across the exit
+            ctx.fillStyle = '#333333';
+            for (let barX = x + 1; barX < x + exit.width - 1; barX += 4) {
+                ctx.fillRect(barX, exit.y, 2, exit.height);
             }
         }
+    });
+}
+
+// Draw checkpoints: a pole with a grey flag at its foot, or a green flag
+// going up and then waving once activated
+function drawCheckpoints() {
+    checkpoints.forEach(checkpoint => {
+        const x = Math.floor(checkpoint.x - camera.x);
+        if (x + checkpoint.width < 0 || x > canvas.width) return;
+        
+        ctx.fillStyle = '#DDDDDD';
+        ctx.fillRect(x + 2, checkpoint.y, 2, checkpoint.height);
+        
+        const lowest = checkpoint.height - 9;
+        if (checkpoint.active) {
+            const raised = Math.min(1, (performance.now() - checkpoint.activatedAt) / CHECKPOINT_RAISE_TIME);
+            const wave = raised === 1 ? Math.floor(Date.now() / 250) % 2 : 0;
+            ctx.fillStyle = '#33CC33';
+            ctx.fillRect(x + 4, checkpoint.y + 1 + wave + Math.round(lowest * (1 - raised)), checkpoint.width - 6, 8);
+        } else {
+            ctx.fillStyle = '#888888';
+            ctx.fillRect(x + 4, checkpoint.y + lowest, checkpoint.width - 6, 8);
+        }
+    });
+}
+
+// The checkpoint placed at (x, y), if any
+function findCheckpoint(x, y) {
+    return checkpoints.find(checkpoint => checkpoint.x === x && checkpoint.y === y);
+}
+
+// Make a checkpoint the active one, raising its flag when animate is set
+function activateCheckpoint(checkpoint, animate) {
+    if (!checkpoint) return;
+    
+    checkpoints.forEach(other => {
+        other.active = other === checkpoint;
+    });
+    checkpoint.activatedAt = animate ? performance.now() : 0;
+    
+    if (animate) {
+        playSound('checkpoint', 0.3);
     }
 }
 
@@ -2424,6 +2996,9 @@ function drawEnemies() {
             case 'bat':
                 drawBatEnemy(enemy);
                 break;
+            case 'golem':
+                drawGolemEnemy(enemy);
+                break;
             default:
                 // Fallback to simple rectangle
                 ctx.fillStyle = '#FF00FF'; // Magenta
@@ -2519,7 +3094,16 @@ function drawRobotEnemy(enemy) {
     ctx.fillStyle = '#666666';
     ctx.fillRect(baseX + 1, baseY + 6, 1, 4);
     ctx.fillRect(baseX + 14, baseY + 6, 1, 4);
-    
+
+    // Arm cannon and muzzle flash while stopped to shoot
+    if (enemy.state === 'shoot') {
+        const cannonX = enemy.facingRight ? baseX + 15 : baseX - 3;
+        ctx.fillStyle = '#444444';
+        ctx.fillRect(cannonX, baseY + 7, 4, 2);
+        ctx.fillStyle = '#FFFF00';
+        ctx.fillRect(enemy.facingRight ? cannonX + 4 : cannonX - 2, baseY + 6, 2, 4);
+    }
+
     // Debug: Draw the pixel mask outline
     if (DEBUG_MODE) {
         drawPixelMask(enemy.pixelMasks[frame], baseX, baseY);
@@ -2564,12 +3148,63 @@ function drawBatEnemy(enemy) {
     }
 }
 
-// Draw a pixel mask for debugging
-function drawPixelMask(mask, baseX, baseY) {
-    if (!mask) return;
-    
-    ctx.strokeStyle = '#FF0000'; // Red outline
-    
+// Draw a golem boss: a stone giant that flashes when hit and reddens in its last phase
+function drawGolemEnemy(enemy) {
+    const baseX = enemy.x - camera.x;
+    const baseY = enemy.y;
+    const frame = enemy.animationFrame;
+    const facingMod = enemy.facingRight ? 1 : -1;
+    const flashing = enemy.flashUntil > performance.now();
+    
+    // Head and body
+    ctx.fillStyle = flashing ? '#FFFFFF' : (enemy.phase >= 3 ? '#8A5A50' : '#7A7A70');
+    ctx.fillRect(baseX + 10, baseY + 2, 12, 8);
+    ctx.fillRect(baseX + 6, baseY + 10, 20, 14);
+    
+    // Cracks in the chest
+    ctx.fillStyle = '#55554D';
+    ctx.fillRect(baseX + 12, baseY + 14, 1, 6);
+    ctx.fillRect(baseX + 19, baseY + 12, 1, 5);
+    
+    // Eyes: dark while asleep, bright while winding up a charge or leap
+    ctx.fillStyle = enemy.state === 'sleep' ? '#333333' : (enemy.state === 'windup' ? '#FFFF00' : '#FF6600');
+    ctx.fillRect(baseX + 13 + (facingMod * 2), baseY + 5, 2, 2);
+    ctx.fillRect(baseX + 17 + (facingMod * 2), baseY + 5, 2, 2);
+    
+    // Arms and legs
+    ctx.fillStyle = flashing ? '#FFFFFF' : '#66665E';
+    if (frame === 0) {
+        // Arms down, legs together
+        ctx.fillRect(baseX + 2, baseY + 12, 4, 12);
+        ctx.fillRect(baseX + 26, baseY + 12, 4, 12);
+        ctx.fillRect(baseX + 9, baseY + 24, 6, 8);
+        ctx.fillRect(baseX + 17, baseY + 24, 6, 8);
+    } else {
+        // Arms raised, legs apart
+        ctx.fillRect(baseX + 2, baseY + 8, 4, 12);
+        ctx.fillRect(baseX + 26, baseY + 8, 4, 12);
+        ctx.fillRect(baseX + 7, baseY + 24, 6, 8);
+        ctx.fillRect(baseX + 19, baseY + 24, 6, 8);
+    }
+    
+    // Boulder held overhead while stopped to throw
+    if (enemy.state === 'shoot') {
+        ctx.fillStyle = '#8B7D6B';
+        ctx.fillRect(baseX + 11, baseY - 9, 10, 10);
+    }
+    
+    // Debug: Draw the pixel mask outline
+    if (DEBUG_MODE) {
+        drawPixelMask(enemy.pixelMasks[frame], baseX, baseY);
+    }
+}
+
+// Draw a pixel mask for debugging
+function drawPixelMask(mask, baseX, baseY) {
+    if (!mask) return;
+    
+    ctx.strokeStyle = '#FF0000'; // Red outline
+    
     for (let y = 0; y < mask.length; y++) {
         for (let x = 0; x < mask[y].length; x++) {
             if (mask[y][x]) {
@@ -2581,6 +3216,14 @@ function drawPixelMask(mask, baseX, baseY) {
 
 // Draw the character
 function drawCharacter() {
+    if (isHidden(character)) {
+        return;
+    }
+    
+    // Include the smoothed-out reconciliation offset
+    const drawX = character.pos_x + character.correctionX;
+    const drawY = character.pos_y + character.correctionY;
+    
     // Draw character sprite
     for (let y = 0; y < character.height; y++) {
         for (let x = 0; x < character.width; x++) {
@@ -2588,8 +3231,8 @@ function drawCharacter() {
             if (pixelColor) { // Only draw non-null pixels
                 ctx.fillStyle = pixelColor;
                 ctx.fillRect(
-                    character.pos_x + (character.facingRight ? x : character.width - 1 - x) - camera.x,
-                    character.pos_y + y,
+                    drawX + (character.facingRight ? x : character.width - 1 - x) - camera.x,
+                    drawY + y,
                     1,
                     1
                 );
@@ -2599,19 +3242,19 @@ function drawCharacter() {
     
     // Draw sword when attacking
     if (character.attacking) {
-        drawSword();
+        drawSword(drawX, drawY);
     }
 }
 
-// Draw the sword
-function drawSword() {
+// Draw the sword at the character's drawn position
+function drawSword(drawX, drawY) {
     // Sword position based on character facing direction
     const swordX = character.facingRight ? 
-        character.pos_x + character.width : 
-        character.pos_x - character.swordReach;
+        drawX + character.width : 
+        drawX - character.swordReach;
     
     const swordWidth = character.swordReach;
-    const swordY = character.pos_y + 8; // Position sword at middle height
+    const swordY = drawY + 8; // Position sword at middle height
     const swordHeight = 8; // Thinner sword height
     
     // Draw sword with a more pixel-art style
@@ -2622,8 +3265,8 @@ function drawSword() {
         // Handle
         ctx.fillStyle = '#8B4513'; // Brown handle
         ctx.fillRect(
-            character.pos_x + character.width - 2 - camera.x,
-            character.pos_y + 10,
+            drawX + character.width - 2 - camera.x,
+            drawY + 10,
             4,
             6
         );
@@ -2631,8 +3274,8 @@ function drawSword() {
         // Guard
         ctx.fillStyle = '#FFD700'; // Gold guard
         ctx.fillRect(
-            character.pos_x + character.width + 2 - camera.x,
-            character.pos_y + 9,
+            drawX + character.width + 2 - camera.x,
+            drawY + 9,
             2,
             8
         );
@@ -2645,8 +3288,8 @@ function drawSword() {
             const yOffset = Math.floor((8 - bladeHeight) / 2);
             
             ctx.fillRect(
-                character.pos_x + character.width + 4 + i - camera.x,
-                character.pos_y + 10 + yOffset,
+                drawX + character.width + 4 + i - camera.x,
+                drawY + 10 + yOffset,
                 1,
                 bladeHeight
             );
@@ -2654,8 +3297,8 @@ function drawSword() {
         
         // Tip
         ctx.fillRect(
-            character.pos_x + character.width + character.swordReach - 2 - camera.x,
-            character.pos_y + 11,
+            drawX + character.width + character.swordReach - 2 - camera.x,
+            drawY + 11,
             2,
             2
         );
@@ -2664,8 +3307,8 @@ function drawSword() {
         // Handle
         ctx.fillStyle = '#8B4513'; // Brown handle
         ctx.fillRect(
-            character.pos_x - 2 - camera.x,
-            character.pos_y + 10,
+            drawX - 2 - camera.x,
+            drawY + 10,
             4,
             6
         );
@@ -2673,8 +3316,8 @@ function drawSword() {
         // Guard
         ctx.fillStyle = '#FFD700'; // Gold guard
         ctx.fillRect(
-            character.pos_x - 4 - camera.x,
-            character.pos_y + 9,
+            drawX - 4 - camera.x,
+            drawY + 9,
             2,
             8
         );
@@ -2687,8 +3330,8 @@ function drawSword() {
             const yOffset = Math.floor((8 - bladeHeight) / 2);
             
             ctx.fillRect(
-                character.pos_x - 5 - i - camera.x,
-                character.pos_y + 10 + yOffset,
+                drawX - 5 - i - camera.x,
+                drawY + 10 + yOffset,
                 1,
                 bladeHeight
             );
@@ -2696,8 +3339,8 @@ function drawSword() {
         
         // Tip
         ctx.fillRect(
-            character.pos_x - character.swordReach - camera.x,
-            character.pos_y + 11,
+            drawX - character.swordReach - camera.x,
+            drawY + 11,
             2,
             2
         );
@@ -2721,16 +3364,55 @@ function drawUI() {
     ctx.font = '12px Arial';
     ctx.fillText(`Score: ${score}`, 10, 20);
     ctx.fillText(`Lives: ${lives}`, 10, 40);
+    ctx.fillText(`Health: ${character.health}/${character.maxHealth}`, 10, 60);
+    if (levelInfo) {
+        ctx.fillText(`Level ${levelInfo.index + 1}/${levelInfo.count}: ${levelInfo.name}`, 10, 80);
+    }
+    if (restartVote) {
+        ctx.fillText(`Restart vote: ${restartVote.votes}/${restartVote.needed} - press R to vote`, 10, 100);
+    } else if (performance.now() < restartConfirmUntil) {
+        ctx.fillText('Press R again to restart the level', 10, 100);
+    }
+    
+    drawBossHealthBar();
     
     // Update the HTML UI elements
     updateHtmlUI();
 }
 
+// Draw the health bar of the boss being fought along the bottom of the
+// screen, with a notch where each of its later phases starts
+function drawBossHealthBar() {
+    const boss = enemies.find(enemy => EnemyAI.isBoss(enemy) && !enemy.defeated && enemy.state !== 'sleep');
+    if (!boss) return;
+    
+    const tuning = boss.tuning || EnemyAI.enemyTuning(boss.type, boss.behavior);
+    const barX = 40;
+    const barY = canvas.height - 16;
+    const barWidth = canvas.width - 80;
+    
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(barX - 2, barY - 2, barWidth + 4, 10);
+    ctx.fillStyle = '#CC2222';
+    ctx.fillRect(barX, barY, Math.round(barWidth * boss.health / tuning.health), 6);
+    
+    ctx.fillStyle = '#FFFFFF';
+    EnemyAI.PHASE_THRESHOLDS.forEach(setting => {
+        if (tuning[setting] !== undefined) {
+            ctx.fillRect(barX + Math.round(barWidth * tuning[setting] / tuning.health), barY, 1, 6);
+        }
+    });
+    
+    ctx.font = '10px Arial';
+    ctx.fillText(boss.type.charAt(0).toUpperCase() + boss.type.slice(1), barX, barY - 4);
+}
+
 // Update HTML UI elements
 function updateHtmlUI() {
     // Update score and lives in the HTML
     const scoreDisplay = document.getElementById('score-display');
     const livesDisplay = document.getElementById('lives-display');
+    const healthDisplay = document.getElementById('health-display');
     
     if (scoreDisplay) {
         scoreDisplay.textContent = score;
@@ -2739,6 +3421,10 @@ function updateHtmlUI() {
     if (livesDisplay) {
         livesDisplay.textContent = lives;
     }
+    
+    if (healthDisplay) {
+        healthDisplay.textContent = `${character.health}/${character.maxHealth}`;
+    }
 }
 
 // Draw game over screen
@@ -2756,11 +3442,46 @@ function drawGameOver() {
     ctx.textAlign = 'left';
 }
 
+// Draw the level complete screen with the level's time and coins
+function drawLevelComplete() {
+    const minutes = Math.floor(levelComplete.time / 60);
+    const seconds = (levelComplete.time % 60).toFixed(1).padStart(4, '0');
+    
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    ctx.fillStyle = '#FFF';
+    ctx.font = '24px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('Level Complete!', canvas.width / 2, canvas.height / 2 - 40);
+    ctx.font = '16px Arial';
+    ctx.fillText(levelComplete.levelName, canvas.width / 2, canvas.height / 2 - 15);
+    ctx.fillText(`Time: ${minutes}:${seconds}`, canvas.width / 2, canvas.height / 2 + 10);
+    ctx.fillText(`Coins: ${levelComplete.coins} / ${levelComplete.totalCoins}`, canvas.width / 2, canvas.height / 2 + 30);
+    ctx.font = '12px Arial';
+    ctx.fillText(
+        levelComplete.finalLevel ?
+            `All levels cleared! Back to ${levelComplete.nextLevelName}...` :
+            `Next: ${levelComplete.nextLevelName}...`,
+        canvas.width / 2,
+        canvas.height / 2 + 55
+    );
+    ctx.textAlign = 'left';
+}
+
 // Draw a defeated enemy (optional)
 function drawDefeatedEnemy(enemy) {
     const baseX = enemy.x - camera.x;
     const baseY = enemy.y;
     
+    // A beaten boss leaves a pile of rubble and doesn't come back
+    if (EnemyAI.isBoss(enemy)) {
+        ctx.fillStyle = '#7A7A70';
+        ctx.fillRect(baseX + 2, baseY + enemy.height - 6, enemy.width - 4, 6);
+        ctx.fillRect(baseX + 8, baseY + enemy.height - 10, 10, 4);
+        return;
+    }
+    
     // Draw a simple "defeated" state - you can customize this
     ctx.fillStyle = '#888888'; // Gray color for defeated enemies
     ctx.fillRect(baseX + 4, baseY + 12, 8, 4); // Flattened shape
@@ -2774,6 +3495,42 @@ function drawDefeatedEnemy(enemy) {
     ctx.fillRect(baseX, baseY - 5, respawnWidth, 2);
 }
 
+// Draw projectiles: robot bolts as glowing streaks, golem boulders as rocks,
+// thrown daggers as small blades
+function drawProjectiles() {
+    projectiles.forEach(projectile => {
+        const baseX = projectile.x - camera.x;
+        const baseY = projectile.y;
+        const facingRight = projectile.vel_x >= 0;
+        
+        switch (projectile.type) {
+            case 'bolt':
+                ctx.fillStyle = '#FF6600';
+                ctx.fillRect(baseX, baseY, projectile.width, projectile.height);
+                ctx.fillStyle = '#FFFF00';
+                ctx.fillRect(facingRight ? baseX + projectile.width - 2 : baseX, baseY, 2, projectile.height);
+                break;
+            case 'boulder':
+                ctx.fillStyle = '#8B7D6B';
+                ctx.fillRect(baseX + 1, baseY, projectile.width - 2, projectile.height);
+                ctx.fillRect(baseX, baseY + 1, projectile.width, projectile.height - 2);
+                ctx.fillStyle = '#6B5D4B';
+                ctx.fillRect(baseX + 3, baseY + 3, 3, 2);
+                break;
+            case 'dagger':
+                // Blade and hilt, the blade pointing the way it flies
+                ctx.fillStyle = '#CCCCCC';
+                ctx.fillRect(facingRight ? baseX + 3 : baseX, baseY + 1, 5, 2);
+                ctx.fillStyle = '#8B4513';
+                ctx.fillRect(facingRight ? baseX : baseX + 5, baseY, 3, projectile.height);
+                break;
+            default:
+                ctx.fillStyle = '#FF00FF';
+                ctx.fillRect(baseX, baseY, projectile.width, projectile.height);
+        }
+    });
+}
+
 // Create sound toggle button
 function createSoundButton() {
     const soundButton = document.createElement('button');
@@ -2804,28 +3561,13 @@ function createSoundButton() {
 // Attack with sword
 function attackWithSword() {
     // Calculate sword hitbox based on character position and facing direction
-    const swordX = character.facingRight ? 
-        character.pos_x + character.width : 
-        character.pos_x - character.swordReach;
+    const sword = Physics.swordHitbox(character, character.swordReach);
     
-    const swordWidth = character.facingRight ? 
-        character.swordReach : 
-        character.swordReach;
-    
-    const swordY = character.pos_y + 8; // Position sword at middle height
-    const swordHeight = 16; // Sword height
-    
-    // Send sword attack to server
-    if (socket && socket.readyState === WebSocket.OPEN) {
-        socket.send(JSON.stringify({
-            type: 'swordAttack',
-            playerId: playerId,
-            swordX: swordX,
-            swordY: swordY,
-            swordWidth: swordWidth,
-            swordHeight: swordHeight,
-            facingRight: character.facingRight
-        }));
+    // Ask the server to swing. It works out the hitbox from its own copy of
+    // the character, so only the request is sent.
+    const online = socket && socket.readyState === WebSocket.OPEN;
+    if (online) {
+        socket.send(JSON.stringify({ type: 'swordAttack' }));
     }
     
     // Client-side prediction for immediate feedback
@@ -2834,13 +3576,18 @@ function attackWithSword() {
         if (enemy.defeated) return;
         
         // Check if sword hitbox intersects with enemy
-        if (checkRectCollision(
-            swordX, swordY, swordWidth, swordHeight,
+        if (Physics.checkRectCollision(
+            sword.x, sword.y, sword.width, sword.height,
             enemy.x, enemy.y, enemy.width, enemy.height
         )) {
-            // Defeat enemy (client-side prediction)
-            enemy.defeated = true;
-            score += 50;
+            // Online, predict the defeat of enemies one hit finishes; the
+            // server takes hit points off the others and awards the score
+            if (online) {
+                if (enemy.health > 1) return;
+                enemy.defeated = true;
+            } else if (!hurtEnemyOffline(enemy)) {
+                return;
+            }
             
             // Play enemy defeat sound
             playSound('enemyDefeat');
@@ -2848,10 +3595,21 @@ function attackWithSword() {
     });
 }
 
+// Throw a dagger. Projectiles are simulated by the server only, so offline
+// there is nothing to throw.
+function throwProjectile() {
+    if (!socket || socket.readyState !== WebSocket.OPEN || character.dead) {
+        return;
+    }
+    
+    socket.send(JSON.stringify({ type: 'throwProjectile' }));
+    playSound('swordSwing', 0.3);
+}
+
 // Interpolate other players between server updates
 function interpolateOtherPlayers(dt) {
     const now = performance.now();
-    const interpolationDuration = 100; // Match server update rate (100ms)
+    const interpolationDuration = snapshotInterval; // Match server snapshot rate
     
     Object.values(otherPlayers).forEach(player => {
         if (player.prevPos_x !== undefined && player.targetPos_x !== undefined) {
@@ -2874,32 +3632,32 @@ function interpolateOtherPlayers(dt) {
     });
 }
 
-// Interpolate enemies between server updates
-function interpolateEnemies(dt) {
+// Interpolate server entities (enemies, projectiles) between server updates
+function interpolateEntities(entities, dt) {
     const now = performance.now();
-    const interpolationDuration = 100; // Match server update rate (100ms)
+    const interpolationDuration = snapshotInterval; // Match server snapshot rate
     
-    enemies.forEach(enemy => {
-        if (enemy.prevPos_x !== undefined && enemy.targetPos_x !== undefined) {
-            const elapsed = now - (enemy.interpolationStart || 0);
+    entities.forEach(entity => {
+        if (entity.prevPos_x !== undefined && entity.targetPos_x !== undefined) {
+            const elapsed = now - (entity.interpolationStart || 0);
             const t = Math.min(elapsed / interpolationDuration, 1);
             
             // Linear interpolation
-            enemy.x = enemy.prevPos_x + (enemy.targetPos_x - enemy.prevPos_x) * t;
-            enemy.y = enemy.prevPos_y + (enemy.targetPos_y - enemy.prevPos_y) * t;
+            entity.x = entity.prevPos_x + (entity.targetPos_x - entity.prevPos_x) * t;
+            entity.y = entity.prevPos_y + (entity.targetPos_y - entity.prevPos_y) * t;
             
             // Update animation if not controlled by server
-            if (socket && socket.readyState !== WebSocket.OPEN) {
-                enemy.animationTimer += dt;
-                if (enemy.animationTimer >= 0.2) {
-                    enemy.animationTimer = 0;
-                    enemy.animationFrame = (enemy.animationFrame + 1) % 2;
+            if (socket && socket.readyState !== WebSocket.OPEN && entity.animationTimer !== undefined) {
+                entity.animationTimer += dt;
+                if (entity.animationTimer >= 0.2) {
+                    entity.animationTimer = 0;
+                    entity.animationFrame = (entity.animationFrame + 1) % 2;
                 }
             }
         }
         
-        enemy.pos_x = enemy.targetPos_x;
-        enemy.pos_y = enemy.targetPos_y;
+        entity.pos_x = entity.targetPos_x;
+        entity.pos_y = entity.targetPos_y;
     });
 }
 
@@ -2913,6 +3671,10 @@ function drawOtherPlayers() {
     }
     
     Object.entries(otherPlayers).forEach(([id, player]) => {
+        if (isHidden(player)) {
+            return;
+        }
+        
         // Skip if invalid position
         if (typeof player.pos_x !== 'number' || typeof player.pos_y !== 'number') {
             console.warn(`Player ${id} has invalid position data`, player);
@@ -2983,7 +3745,7 @@ function drawOtherPlayers() {
         ctx.font = '10px Arial';
         ctx.fillStyle = '#FFFFFF';
         ctx.textAlign = 'center';
-        ctx.fillText(`Player ${id.substring(id.length - 4)}`, screenX + (player.width || 16) / 2, screenY - 5);
+        ctx.fillText(playerDisplayName(id), screenX + (player.width || 16) / 2, screenY - 5);
     });
 }
 
@@ -3194,4 +3956,619 @@ function drawIPInfo() {
     ctx.lineWidth = 1;
     const textWidth = ctx.measureText(text).width;
     ctx.strokeRect(canvas.width - textWidth - 15, 10, textWidth + 10, 20);
-}
\ No newline at end of file
+}
+
+// Toggle the level editor. While online edits are made to the server's level
+// and seen live by every player; offline they are made to the local level.
+function toggleEditorMode() {
+    EDITOR_MODE = !EDITOR_MODE;
+    console.log('Editor mode:', EDITOR_MODE);
+    
+    keys.left = false;
+    keys.right = false;
+    keys.jump = false;
+    editor.drag = null;
+    editor.stroke = null;
+    
+    if (EDITOR_MODE) {
+        // No input is sent while editing, so let the server know our keys are released
+        sendInputToServer(0);
+        
+        if (levelInfo) {
+            editor.name = levelInfo.name;
+        }
+        
+        // Edit the level as it starts: enemies at their spawns, every coin present.
+        // The round trip keeps entity order, so the server's ids carry over.
+        const enemyIds = enemies.map(enemy => enemy.id);
+        const collectibleIds = collectibles.map(collectible => collectible.id);
+        applyEditorLevel(LevelFormat.parseLevel(LevelFormat.serializeLevel(buildEditorLevel()), 'editor'));
+        enemies.forEach((enemy, i) => {
+            enemy.id = enemyIds[i];
+        });
+        collectibles.forEach((collectible, i) => {
+            collectible.id = collectibleIds[i];
+        });
+    } else if (!socket || socket.readyState !== WebSocket.OPEN) {
+        // Offline we start over at the spawn; online the server keeps our position
+        character.pos_x = playerSpawn.x;
+        character.pos_y = playerSpawn.y;
+        character.vel_x = 0;
+        character.vel_y = 0;
+    }
+    
+    if (editor.panel) {
+        editor.panel.style.display = EDITOR_MODE ? 'flex' : 'none';
+    }
+}
+
+// Collect the level being edited in the shape LevelFormat.serializeLevel expects
+function buildEditorLevel() {
+    return {
+        metadata: { name: editor.name },
+        map,
+        playerSpawn,
+        enemies: enemies.map(enemy => ({
+            type: enemy.type,
+            x: enemy.originalX !== undefined ? enemy.originalX : enemy.x,
+            y: enemy.originalY !== undefined ? enemy.originalY : enemy.y,
+            leftBound: enemy.leftBound,
+            rightBound: enemy.rightBound,
+            behavior: enemy.behavior
+        })),
+        collectibles,
+        exits,
+        checkpoints
+    };
+}
+
+// Replace the level with a parsed level (see LevelFormat.parseLevel)
+function applyEditorLevel(level) {
+    map = level.map;
+    playerSpawn = { ...level.playerSpawn };
+    exits = level.exits.map(exit => ({ ...exit }));
+    checkpoints = level.checkpoints.map(checkpoint => ({ ...checkpoint }));
+    
+    enemies = [];
+    level.enemies.forEach(enemy => {
+        addEnemy(enemy.x, enemy.y, enemy.type, enemy.leftBound, enemy.rightBound, enemy.behavior);
+    });
+    
+    collectibles = [];
+    level.collectibles.forEach(collectible => {
+        addCollectible(collectible.x, collectible.y, collectible.type);
+    });
+    
+    editor.name = level.metadata.name;
+}
+
+// Pan the camera and keep the connection alive while editing
+function updateEditor(dt) {
+    if (keys.left) camera.x -= EDITOR_PAN_SPEED * dt;
+    if (keys.right) camera.x += EDITOR_PAN_SPEED * dt;
+    
+    const mapWidth = Tilemap.pixelWidth(map);
+    if (camera.x > mapWidth - canvas.width) camera.x = mapWidth - canvas.width;
+    if (camera.x < 0) camera.x = 0;
+    
+    editor.heartbeatTimer += dt;
+    if (editor.heartbeatTimer >= EDITOR_HEARTBEAT_INTERVAL) {
+        editor.heartbeatTimer = 0;
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: 'heartbeat' }));
+        }
+    }
+}
+
+// Select the active editor tool and highlight its button
+function selectEditorTool(tool) {
+    editor.tool = tool;
+    if (editor.panel) {
+        editor.panel.querySelectorAll('[data-tool]').forEach(button => {
+            button.style.backgroundColor = button.dataset.tool === tool ? '#706fd3' : '#444';
+        });
+    }
+}
+
+// Map position of a mouse event on the canvas
+function editorMousePosition(e) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * canvas.width / rect.width + camera.x,
+        y: (e.clientY - rect.top) * canvas.height / rect.height
+    };
+}
+
+// Set up mouse editing on the canvas
+function setupEditorMouse() {
+    canvas.addEventListener('mousedown', function(e) {
+        if (!EDITOR_MODE || (e.button !== 0 && e.button !== 2)) return;
+        e.preventDefault();
+        
+        const pos = editorMousePosition(e);
+        editor.mouse = pos;
+        editor.drag = { x: pos.x, y: pos.y, button: e.button };
+        
+        if (e.button === 2) {
+            // Right click deletes whatever is under the cursor, or starts erasing tiles
+            if (!deleteEditorObjectAt(pos.x, pos.y)) {
+                editor.stroke = {};
+                paintEditorTile(pos.x, pos.y, 0);
+            }
+            return;
+        }
+        
+        switch (editor.tool) {
+            case 'tile':
+                editor.stroke = {};
+                paintEditorTile(pos.x, pos.y, editor.tile);
+                break;
+            case 'coin': {
+                // Centered on the cursor, but kept inside the map
+                const x = Math.max(0, Math.min(Tilemap.pixelWidth(map) - 8, Math.round(pos.x - 4)));
+                const y = Math.max(0, Math.min(Tilemap.pixelHeight(map) - 8, Math.round(pos.y - 4)));
+                submitEditOp({
+                    kind: 'addCollectible',
+                    collectible: { type: 'coin', x, y }
+                });
+                break;
+            }
+            case 'exit': {
+                const size = LevelFormat.EXIT_TYPES[editor.exitType];
+                const tileSize = map.tileSize;
+                submitEditOp({
+                    kind: 'addExit',
+                    exit: {
+                        type: editor.exitType,
+                        x: Math.floor(pos.x / tileSize) * tileSize,
+                        y: Math.max(0, (Math.floor(pos.y / tileSize) + 1) * tileSize - size.height),
+                        width: size.width,
+                        height: size.height
+                    }
+                });
+                break;
+            }
+            case 'checkpoint': {
+                const tileSize = map.tileSize;
+                submitEditOp({
+                    kind: 'addCheckpoint',
+                    checkpoint: {
+                        x: Math.floor(pos.x / tileSize) * tileSize,
+                        y: Math.max(0, (Math.floor(pos.y / tileSize) + 1) * tileSize - LevelFormat.CHECKPOINT_SIZE.height)
+                    }
+                });
+                break;
+            }
+            case 'spawn':
+                submitEditOp({
+                    kind: 'setSpawn',
+                    spawn: {
+                        x: Math.max(0, Math.round(pos.x - character.width / 2)),
+                        y: Math.max(0, Math.round(pos.y - character.height / 2))
+                    }
+                });
+                break;
+            case 'delete':
+                deleteEditorObjectAt(pos.x, pos.y);
+                break;
+        }
+    });
+    
+    canvas.addEventListener('mousemove', function(e) {
+        if (!EDITOR_MODE) return;
+        
+        const pos = editorMousePosition(e);
+        editor.mouse = pos;
+        
+        // Painting and erasing continue while dragging
+        if (editor.stroke && editor.drag.button === 2) {
+            paintEditorTile(pos.x, pos.y, 0);
+        } else if (editor.stroke) {
+            paintEditorTile(pos.x, pos.y, editor.tile);
+        }
+    });
+    
+    canvas.addEventListener('mouseup', function(e) {
+        if (!EDITOR_MODE || !editor.drag) return;
+        
+        const pos = editorMousePosition(e);
+        if (editor.stroke) {
+            finishEditorStroke();
+        } else if (editor.drag.button === 0) {
+            finishEditorDrag(editor.drag, pos);
+        }
+        editor.drag = null;
+    });
+    
+    canvas.addEventListener('mouseleave', function() {
+        if (editor.stroke) {
+            finishEditorStroke();
+        }
+        editor.mouse = null;
+        editor.drag = null;
+    });
+    
+    canvas.addEventListener('contextmenu', function(e) {
+        if (EDITOR_MODE) {
+            e.preventDefault();
+        }
+    });
+}
+
+// Place the objects drawn by dragging: platforms, holes and enemy patrols
+function finishEditorDrag(start, end) {
+    const tileSize = map.tileSize;
+    const startTx = Math.floor(start.x / tileSize);
+    const startTy = Math.floor(start.y / tileSize);
+    const endTx = Math.floor(end.x / tileSize);
+    const left = Math.min(startTx, endTx);
+    const width = Math.abs(endTx - startTx) + 1;
+    
+    switch (editor.tool) {
+        case 'platform':
+            submitTileFill(left, startTy, width, 1, Tilemap.tileIndex('platform'));
+            break;
+        case 'hole':
+            // Clear the columns from the clicked row down to the bottom of the map
+            submitTileFill(left, startTy, width, map.height - startTy, Tilemap.tileIndex('empty'));
+            break;
+        case 'enemy': {
+            // The enemy stands on the bottom of the clicked tile and patrols the dragged span
+            const x = startTx * tileSize;
+            const y = (startTy + 1) * tileSize - EnemyAI.ENEMY_BEHAVIORS[editor.enemyType].size.height;
+            let leftBound = Math.round(Math.min(start.x, end.x));
+            let rightBound = Math.round(Math.max(start.x, end.x));
+            if (rightBound - leftBound < tileSize) {
+                leftBound = x - 50;
+                rightBound = x + 50;
+            }
+            const mapWidth = Tilemap.pixelWidth(map);
+            leftBound = Math.max(0, Math.min(leftBound, x));
+            rightBound = Math.min(mapWidth, Math.max(rightBound, x));
+            submitEditOp({
+                kind: 'addEnemy',
+                enemy: { type: editor.enemyType, x, y, leftBound, rightBound }
+            });
+            break;
+        }
+    }
+}
+
+// Submit a rectangle of tiles as one edit
+function submitTileFill(tx, ty, width, height, tile) {
+    const tiles = [];
+    for (let y = Math.max(0, ty); y < Math.min(map.height, ty + height); y++) {
+        for (let x = Math.max(0, tx); x < Math.min(map.width, tx + width); x++) {
+            tiles.push([x, y, tile]);
+        }
+    }
+    if (tiles.length > 0) {
+        submitEditOp({ kind: 'setTiles', tiles });
+    }
+}
+
+// Add the tile under a map position to the current stroke. The stroke is
+// previewed by the overlay and sent as one edit when the drag ends.
+function paintEditorTile(x, y, tile) {
+    const tx = Math.floor(x / map.tileSize);
+    const ty = Math.floor(y / map.tileSize);
+    if (tx < 0 || ty < 0 || tx >= map.width || ty >= map.height) return;
+    editor.stroke[`${tx},${ty}`] = [tx, ty, tile];
+}
+
+// Submit the tiles painted or erased by the current drag
+function finishEditorStroke() {
+    const tiles = Object.values(editor.stroke)
+        .filter(([tx, ty, tile]) => Tilemap.getTile(map, tx, ty) !== tile);
+    editor.stroke = null;
+    
+    for (let i = 0; i < tiles.length; i += EditOps.MAX_TILES_PER_OP) {
+        submitEditOp({ kind: 'setTiles', tiles: tiles.slice(i, i + EditOps.MAX_TILES_PER_OP) });
+    }
+}
+
+// Delete the coin, enemy, exit or checkpoint under a map position. Returns whether anything was deleted.
+function deleteEditorObjectAt(x, y) {
+    const contains = object => x >= object.x && x < object.x + object.width && y >= object.y && y < object.y + object.height;
+    const spawnOf = object => ({
+        type: object.type,
+        x: object.originalX !== undefined ? object.originalX : object.x,
+        y: object.originalY !== undefined ? object.originalY : object.y
+    });
+    
+    const collectible = collectibles.find(contains);
+    if (collectible) {
+        submitEditOp({ kind: 'removeCollectible', collectible: spawnOf(collectible) });
+        return true;
+    }
+    const enemy = enemies.find(contains);
+    if (enemy) {
+        submitEditOp({ kind: 'removeEnemy', enemy: spawnOf(enemy) });
+        return true;
+    }
+    const exit = exits.find(contains);
+    if (exit) {
+        submitEditOp({ kind: 'removeExit', exit: spawnOf(exit) });
+        return true;
+    }
+    const checkpoint = checkpoints.find(contains);
+    if (checkpoint) {
+        submitEditOp({ kind: 'removeCheckpoint', checkpoint: { x: checkpoint.x, y: checkpoint.y } });
+        return true;
+    }
+    return false;
+}
+
+// The level as edit operations see it (see editops.js)
+function editableLevel() {
+    return { map, enemies, collectibles, exits, checkpoints, playerSpawn };
+}
+
+// Entity constructors used when edit operations add entities. Online the
+// server sends the id it gave the new entity along with the edit.
+function editFactories(entityId) {
+    return {
+        enemy: spawn => ({ ...createEnemy(spawn.x, spawn.y, spawn.type, spawn.leftBound, spawn.rightBound, spawn.behavior), id: entityId }),
+        collectible: spawn => ({ ...createCollectible(spawn.x, spawn.y, spawn.type), id: entityId })
+    };
+}
+
+// Make an edit. Online it is sent to the server and applied once the server
+// broadcasts it back, so every player applies edits in the same order.
+// Offline it is applied right away.
+function submitEditOp(op) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'editOp', op, opId: ++editor.nextOpId }));
+        return;
+    }
+    
+    const inverse = applyEditOp(op);
+    if (inverse) {
+        editor.history.undo.push(inverse);
+        if (editor.history.undo.length > EDITOR_MAX_HISTORY) {
+            editor.history.undo.shift();
+        }
+        editor.history.redo = [];
+    }
+}
+
+// Undo (or redo) our most recent edit
+function undoEditorEdit(undo) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: undo ? 'editUndo' : 'editRedo' }));
+        return;
+    }
+    
+    const from = undo ? editor.history.undo : editor.history.redo;
+    const to = undo ? editor.history.redo : editor.history.undo;
+    const op = from.pop();
+    if (op) {
+        const inverse = applyEditOp(op);
+        if (inverse) {
+            to.push(inverse);
+        }
+    }
+}
+
+// Apply an edit to the local level. Returns the edit that undoes it, or null if it does not apply.
+function applyEditOp(op, entityId) {
+    const error = EditOps.validateOp(editableLevel(), op);
+    if (error) {
+        console.error("Cannot apply edit:", error, op);
+        return null;
+    }
+    return EditOps.applyOp(editableLevel(), op, editFactories(entityId));
+}
+
+// Draw the editor grid, patrol bounds, player spawn, drag preview and status line
+function drawEditorOverlay() {
+    const tileSize = map.tileSize;
+    
+    // Tile grid
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = -(camera.x % tileSize); x <= canvas.width; x += tileSize) {
+        ctx.moveTo(Math.floor(x) + 0.5, 0);
+        ctx.lineTo(Math.floor(x) + 0.5, Tilemap.pixelHeight(map));
+    }
+    for (let y = 0; y <= Tilemap.pixelHeight(map); y += tileSize) {
+        ctx.moveTo(0, y + 0.5);
+        ctx.lineTo(canvas.width, y + 0.5);
+    }
+    ctx.stroke();
+    
+    // Enemy patrol bounds
+    ctx.strokeStyle = '#FF6666';
+    enemies.forEach(enemy => {
+        const y = Math.floor(enemy.y + enemy.height) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(enemy.leftBound - camera.x, y);
+        ctx.lineTo(enemy.rightBound + enemy.width - camera.x, y);
+        ctx.stroke();
+    });
+    
+    // Player spawn
+    ctx.strokeStyle = '#FFFF00';
+    ctx.strokeRect(playerSpawn.x - camera.x + 0.5, playerSpawn.y + 0.5, character.width, character.height);
+    ctx.fillStyle = '#FFFF00';
+    ctx.font = '8px Arial';
+    ctx.fillText('P', playerSpawn.x - camera.x + 5, playerSpawn.y + 15);
+    
+    // Tiles in the stroke being painted, not yet sent
+    if (editor.stroke) {
+        Object.values(editor.stroke).forEach(([tx, ty, tile]) => {
+            const def = Tilemap.getTileDef(tile);
+            ctx.fillStyle = def.color || 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(tx * tileSize - camera.x, ty * tileSize, tileSize, tileSize);
+        });
+    }
+    
+    // Hovered tile or the area being dragged out
+    if (editor.mouse) {
+        const tx = Math.floor(editor.mouse.x / tileSize);
+        const ty = Math.floor(editor.mouse.y / tileSize);
+        let left = tx;
+        let width = 1;
+        let height = 1;
+        let top = ty;
+        
+        if (editor.drag && editor.drag.button === 0 && ['platform', 'hole', 'enemy'].includes(editor.tool)) {
+            const startTx = Math.floor(editor.drag.x / tileSize);
+            top = Math.floor(editor.drag.y / tileSize);
+            left = Math.min(startTx, tx);
+            width = Math.abs(tx - startTx) + 1;
+            if (editor.tool === 'hole') {
+                height = map.height - top;
+            }
+        }
+        
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.strokeRect(left * tileSize - camera.x + 0.5, top * tileSize + 0.5, width * tileSize - 1, height * tileSize - 1);
+    }
+    
+    // Status line
+    let toolLabel = editor.tool;
+    if (editor.tool === 'tile') toolLabel += ` (${Tilemap.getTileDef(editor.tile).name})`;
+    if (editor.tool === 'enemy') toolLabel += ` (${editor.enemyType})`;
+    if (editor.tool === 'exit') toolLabel += ` (${editor.exitType})`;
+    
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, canvas.height - 14, canvas.width, 14);
+    ctx.fillStyle = '#FFF';
+    ctx.font = '9px Arial';
+    ctx.fillText(`EDITOR - ${editor.name} - tool: ${toolLabel} - Ctrl+Z/Y undo/redo - F2 to play`, 4, canvas.height - 4);
+}
+
+// Export the level being edited as a level file download
+function exportEditorLevel() {
+    const data = LevelFormat.serializeLevel(buildEditorLevel());
+    
+    // Keep the tile array on a single line so the file stays readable
+    const text = JSON.stringify({ ...data, tiles: '<tiles>' }, null, 2)
+        .replace('"<tiles>"', JSON.stringify(data.tiles));
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    link.download = `${editor.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'level'}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), EDITOR_EXPORT_URL_LIFETIME);
+}
+
+// Import a level file into the editor
+function importEditorLevel(file) {
+    // Edits to the shared level go through the server one operation at a time
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        alert('Levels can only be imported while playing offline');
+        return;
+    }
+    
+    const reader = new FileReader();
+    reader.onload = function() {
+        try {
+            applyEditorLevel(LevelFormat.parseLevel(JSON.parse(reader.result), file.name));
+            editor.history = { undo: [], redo: [] };
+            console.log("Imported level:", editor.name);
+        } catch (error) {
+            console.error("Error importing level:", error);
+            alert(`Could not import ${file.name}: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+// Create the editor toolbar, shown while in editor mode
+function createEditorPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'editor-panel';
+    panel.style.position = 'absolute';
+    panel.style.top = '60px';
+    panel.style.left = '10px';
+    panel.style.display = 'none';
+    panel.style.flexDirection = 'column';
+    panel.style.gap = '4px';
+    panel.style.padding = '6px';
+    panel.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    panel.style.borderRadius = '5px';
+    panel.style.fontSize = '10px';
+    panel.style.zIndex = '1000';
+    
+    const styleControl = control => {
+        control.style.backgroundColor = '#444';
+        control.style.color = '#fff';
+        control.style.border = 'none';
+        control.style.borderRadius = '3px';
+        control.style.padding = '4px';
+        control.style.fontSize = '10px';
+        control.style.cursor = 'pointer';
+        return control;
+    };
+    
+    const addSelect = (options, value, onChange) => {
+        const select = styleControl(document.createElement('select'));
+        options.forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        });
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value));
+        panel.appendChild(select);
+    };
+    
+    const addButton = (label, onClick) => {
+        const button = styleControl(document.createElement('button'));
+        button.textContent = label;
+        button.addEventListener('click', function(e) {
+            e.preventDefault();
+            onClick();
+        });
+        panel.appendChild(button);
+        return button;
+    };
+    
+    EDITOR_TOOLS.forEach((tool, i) => {
+        const button = addButton(`${i + 1} ${tool}`, () => selectEditorTool(tool));
+        button.dataset.tool = tool;
+    });
+    
+    addSelect(
+        Tilemap.TILESET.slice(1).map((tile, i) => ({ value: i + 1, label: `tile: ${tile.name}` })),
+        editor.tile,
+        value => { editor.tile = Number(value); }
+    );
+    addSelect(
+        LevelFormat.ENEMY_TYPES.map(type => ({ value: type, label: `enemy: ${type}` })),
+        editor.enemyType,
+        value => { editor.enemyType = value; }
+    );
+    addSelect(
+        Object.keys(LevelFormat.EXIT_TYPES).map(type => ({ value: type, label: `exit: ${type}` })),
+        editor.exitType,
+        value => { editor.exitType = value; }
+    );
+    
+    addButton('Rename', () => {
+        const name = prompt('Level name', editor.name);
+        if (name) editor.name = name;
+    });
+    addButton('Export', exportEditorLevel);
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) {
+            importEditorLevel(fileInput.files[0]);
+        }
+        fileInput.value = '';
+    });
+    panel.appendChild(fileInput);
+    addButton('Import', () => fileInput.click());
+    
+    editor.panel = panel;
+    document.body.appendChild(panel);
+    selectEditorTool(editor.tool);
+}
@@ -0,0 +1,279 @@
+// Level file format shared by the server (levels.js) and the browser
+// client's level editor (game.js).
+//
+// A level file describes the terrain (optional raw tiles, a ground tile
+// filling the bottom rows, platforms and holes, all in tile coordinates), the
+// player spawn, enemy spawns with their patrol bounds and optional behavior
+// tuning (see enemyai.js), collectibles, level exits and checkpoints (in
+// pixels). parseLevel validates level data and builds the level
+// from it; serializeLevel turns a level back into level file data.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node.js (server)
+    module.exports = factory(require('./tilemap'), require('./enemyai'));
+  } else {
+    // Browser global (client), tilemap.js and enemyai.js must be loaded first
+    root.LevelFormat = factory(root.Tilemap, root.EnemyAI);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Tilemap, EnemyAI) {
+  'use strict';
+
+  const LEVEL_FORMAT_VERSION = 1;
+  const ENEMY_TYPES = Object.keys(EnemyAI.ENEMY_BEHAVIORS);
+  const COLLECTIBLE_TYPES = ['coin'];
+  // Exit types with their default size in pixels
+  const EXIT_TYPES = {
+    door: { width: 16, height: 24 },
+    flag: { width: 16, height: 32 }
+  };
+  const CHECKPOINT_SIZE = { width: 16, height: 32 }; // Area a player touches to activate a checkpoint
+  const MAX_MAP_SIZE = 1024; // Tiles per side, keeps maps within the binary protocol's limits
+
+  // Thrown for level files that cannot be read or do not match the format
+  class LevelFormatError extends Error {
+    constructor(source, message) {
+      super(`${source}: ${message}`);
+      this.name = 'LevelFormatError';
+      this.source = source;
+    }
+  }
+
+  // Validate parsed level data and build the level: metadata, tilemap, player
+  // spawn, enemy spawns, collectibles, exits and checkpoints. source names the
+  // level in errors.
+  function parseLevel(data, source) {
+    const fail = message => { throw new LevelFormatError(source, message); };
+
+    if (!isObject(data)) fail('level must be a JSON object');
+    if (data.version !== LEVEL_FORMAT_VERSION) {
+      fail(`unsupported level version ${JSON.stringify(data.version)} (expected ${LEVEL_FORMAT_VERSION})`);
+    }
+
+    const metadata = data.metadata === undefined ? {} : data.metadata;
+    if (!isObject(metadata)) fail('metadata must be an object');
+    if (metadata.name !== undefined && typeof metadata.name !== 'string') fail('metadata.name must be a string');
+
+    // Map size
+    if (!isObject(data.size)) fail('size must be an object with width and height in tiles');
+    const width = requireInteger(data.size, 'width', 'size', fail, 1, MAX_MAP_SIZE);
+    const height = requireInteger(data.size, 'height', 'size', fail, 1, MAX_MAP_SIZE);
+    const map = Tilemap.createTilemap(width, height);
+
+    // Raw tiles: row-major tileset indices covering the whole map
+    if (data.tiles !== undefined) {
+      if (!Array.isArray(data.tiles) || data.tiles.length !== width * height) {
+        fail(`tiles must be an array of ${width * height} tileset indices (width x height)`);
+      }
+      data.tiles.forEach((tile, i) => {
+        if (!Number.isInteger(tile) || tile < 0 || tile >= Tilemap.TILESET.length) {
+          fail(`tiles[${i}] must be a tileset index between 0 and ${Tilemap.TILESET.length - 1} (got ${JSON.stringify(tile)})`);
+        }
+        map.tiles[i] = tile;
+      });
+    }
+
+    // Ground filling the bottom rows
+    if (data.terrain !== undefined) {
+      if (!isObject(data.terrain)) fail('terrain must be an object');
+      const tile = requireTile(data.terrain, 'terrain', fail);
+      const depth = requireInteger(data.terrain, 'depth', 'terrain', fail, 0, height);
+      Tilemap.fillTiles(map, 0, height - depth, width, depth, tile);
+    }
+
+    requireArray(data, 'platforms', fail).forEach((platform, i) => {
+      const field = `platforms[${i}]`;
+      if (!isObject(platform)) fail(`${field} must be an object`);
+      const x = requireInteger(platform, 'x', field, fail, 0, width - 1);
+      const y = requireInteger(platform, 'y', field, fail, 0, height - 1);
+      const platformWidth = requireInteger(platform, 'width', field, fail, 1, width - x);
+      const tile = platform.tile === undefined ? Tilemap.tileIndex('platform') : requireTile(platform, field, fail);
+      Tilemap.fillTiles(map, x, y, platformWidth, 1, tile);
+    });
+
+    // Holes clear every tile in their columns
+    requireArray(data, 'holes', fail).forEach((hole, i) => {
+      const field = `holes[${i}]`;
+      if (!isObject(hole)) fail(`${field} must be an object`);
+      const x = requireInteger(hole, 'x', field, fail, 0, width - 1);
+      const holeWidth = requireInteger(hole, 'width', field, fail, 1, width - x);
+      const depth = data.terrain ? data.terrain.depth : 0;
+      Tilemap.fillTiles(map, x, height - depth, holeWidth, depth, Tilemap.tileIndex('empty'));
+    });
+
+    const mapWidth = Tilemap.pixelWidth(map);
+    const mapHeight = Tilemap.pixelHeight(map);
+
+    if (!isObject(data.playerSpawn)) fail('playerSpawn must be an object with x and y');
+    const playerSpawn = {
+      x: requireNumber(data.playerSpawn, 'x', 'playerSpawn', fail, 0, mapWidth),
+      y: requireNumber(data.playerSpawn, 'y', 'playerSpawn', fail, 0, mapHeight)
+    };
+
+    const enemies = requireArray(data, 'enemies', fail).map((enemy, i) => {
+      const field = `enemies[${i}]`;
+      if (!isObject(enemy)) fail(`${field} must be an object`);
+      if (!ENEMY_TYPES.includes(enemy.type)) {
+        fail(`${field}.type must be one of ${ENEMY_TYPES.join(', ')} (got ${JSON.stringify(enemy.type)})`);
+      }
+
+      const spawn = {
+        type: enemy.type,
+        x: requireNumber(enemy, 'x', field, fail, 0, mapWidth),
+        y: requireNumber(enemy, 'y', field, fail, 0, mapHeight),
+        leftBound: requireNumber(enemy, 'leftBound', field, fail, 0, mapWidth),
+        rightBound: requireNumber(enemy, 'rightBound', field, fail, 0, mapWidth)
+      };
+      if (spawn.leftBound > spawn.x || spawn.x > spawn.rightBound) {
+        fail(`${field} must spawn between its leftBound and rightBound`);
+      }
+
+      const behaviorError = EnemyAI.validateBehavior(enemy.type, enemy.behavior);
+      if (behaviorError) fail(`${field}.behavior ${behaviorError}`);
+      if (enemy.behavior !== undefined) {
+        spawn.behavior = { ...enemy.behavior };
+      }
+      return spawn;
+    });
+
+    const collectibles = requireArray(data, 'collectibles', fail).map((collectible, i) => {
+      const field = `collectibles[${i}]`;
+      if (!isObject(collectible)) fail(`${field} must be an object`);
+      if (!COLLECTIBLE_TYPES.includes(collectible.type)) {
+        fail(`${field}.type must be one of ${COLLECTIBLE_TYPES.join(', ')} (got ${JSON.stringify(collectible.type)})`);
+      }
+
+      return {
+        type: collectible.type,
+        x: requireNumber(collectible, 'x', field, fail, 0, mapWidth),
+        y: requireNumber(collectible, 'y', field, fail, 0, mapHeight)
+      };
+    });
+
+    // Touching an exit completes the level
+    const exits = requireArray(data, 'exits', fail).map((exit, i) => {
+      const field = `exits[${i}]`;
+      if (!isObject(exit)) fail(`${field} must be an object`);
+      if (!EXIT_TYPES[exit.type]) {
+        fail(`${field}.type must be one of ${Object.keys(EXIT_TYPES).join(', ')} (got ${JSON.stringify(exit.type)})`);
+      }
+
+      const size = EXIT_TYPES[exit.type];
+      return {
+        type: exit.type,
+        x: requireNumber(exit, 'x', field, fail, 0, mapWidth),
+        y: requireNumber(exit, 'y', field, fail, 0, mapHeight),
+        width: exit.width === undefined ? size.width : requireNumber(exit, 'width', field, fail, 1, mapWidth),
+        height: exit.height === undefined ? size.height : requireNumber(exit, 'height', field, fail, 1, mapHeight)
+      };
+    });
+
+    // Touching a checkpoint makes it where players respawn
+    const checkpoints = requireArray(data, 'checkpoints', fail).map((checkpoint, i) => {
+      const field = `checkpoints[${i}]`;
+      if (!isObject(checkpoint)) fail(`${field} must be an object`);
+
+      return {
+        x: requireNumber(checkpoint, 'x', field, fail, 0, mapWidth),
+        y: requireNumber(checkpoint, 'y', field, fail, 0, mapHeight),
+        width: CHECKPOINT_SIZE.width,
+        height: CHECKPOINT_SIZE.height
+      };
+    });
+
+    return {
+      version: data.version,
+      metadata: { ...metadata, name: metadata.name || source },
+      map,
+      playerSpawn,
+      enemies,
+      collectibles,
+      exits,
+      checkpoints
+    };
+  }
+
+  function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  // Optional array field, empty when missing
+  function requireArray(object, key, fail) {
+    if (object[key] === undefined) return [];
+    if (!Array.isArray(object[key])) fail(`${key} must be an array`);
+    return object[key];
+  }
+
+  function requireNumber(object, key, field, fail, min, max) {
+    const value = object[key];
+    if (typeof value !== 'number' || !isFinite(value)) {
+      fail(`${field}.${key} must be a number (got ${JSON.stringify(value)})`);
+    }
+    if (value < min || value > max) {
+      fail(`${field}.${key} must be between ${min} and ${max} (got ${value})`);
+    }
+    return value;
+  }
+
+  function requireInteger(object, key, field, fail, min, max) {
+    const value = requireNumber(object, key, field, fail, min, max);
+    if (!Number.isInteger(value)) fail(`${field}.${key} must be a whole number of tiles (got ${value})`);
+    return value;
+  }
+
+  // Tile name in object.tile, returned as a tileset index
+  function requireTile(object, field, fail) {
+    const tile = Tilemap.TILESET.findIndex(def => def.name === object.tile);
+    if (tile < 0) {
+      const names = Tilemap.TILESET.map(def => def.name).join(', ');
+      fail(`${field}.tile must be one of ${names} (got ${JSON.stringify(object.tile)})`);
+    }
+    return tile;
+  }
+
+  // Level file data for a level, with the terrain stored as raw tiles
+  function serializeLevel(level) {
+    return {
+      version: LEVEL_FORMAT_VERSION,
+      metadata: { ...level.metadata },
+      size: { width: level.map.width, height: level.map.height },
+      tiles: level.map.tiles.slice(),
+      playerSpawn: { x: level.playerSpawn.x, y: level.playerSpawn.y },
+      enemies: level.enemies.map(enemy => ({
+        type: enemy.type,
+        x: enemy.x,
+        y: enemy.y,
+        leftBound: enemy.leftBound,
+        rightBound: enemy.rightBound,
+        behavior: enemy.behavior ? { ...enemy.behavior } : undefined
+      })),
+      collectibles: level.collectibles.map(collectible => ({
+        type: collectible.type,
+        x: collectible.x,
+        y: collectible.y
+      })),
+      exits: level.exits.map(exit => ({
+        type: exit.type,
+        x: exit.x,
+        y: exit.y,
+        width: exit.width,
+        height: exit.height
+      })),
+      checkpoints: (level.checkpoints || []).map(checkpoint => ({
+        x: checkpoint.x,
+        y: checkpoint.y
+      }))
+    };
+  }
+
+  return {
+    LEVEL_FORMAT_VERSION,
+    ENEMY_TYPES,
+    COLLECTIBLE_TYPES,
+    EXIT_TYPES,
+    CHECKPOINT_SIZE,
+    MAX_MAP_SIZE,
+    LevelFormatError,
+    parseLevel,
+    serializeLevel
+  };
+});
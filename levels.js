@@ -0,0 +1,71 @@
+// Level file loading for the server (servercode.js).
+//
+// Levels live in levels/*.json, in the format described in levelformat.js.
+// Files are validated when loaded so a typo fails at startup with the file
+// and field at fault instead of as a broken level in game. Maps made in the
+// Tiled editor (.tmj/.tmx) are converted to the same format first, see tiled.js.
+//
+// The order levels are played in comes from a sequence file
+// (levels/sequence.json) listing level files relative to it.
+const fs = require('fs');
+const path = require('path');
+const LevelFormat = require('./levelformat');
+const Tiled = require('./tiled');
+
+const { LevelFormatError, parseLevel } = LevelFormat;
+
+// Read and validate a level file, importing Tiled maps by extension
+function loadLevel(filePath) {
+  const fail = message => { throw new LevelFormatError(filePath, message); };
+  const extension = path.extname(filePath).toLowerCase();
+
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    fail(`cannot read level file (${error.message})`);
+  }
+
+  let data;
+  if (extension === '.tmx') {
+    data = Tiled.convertMap(Tiled.parseTmx(text, fail), filePath, fail);
+  } else {
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      fail(`invalid JSON (${error.message})`);
+    }
+    if (extension === '.tmj') {
+      data = Tiled.convertMap(data, filePath, fail);
+    }
+  }
+
+  return parseLevel(data, filePath);
+}
+
+// Read a level sequence file and load every level in it, in play order
+function loadLevelSequence(filePath) {
+  const fail = message => { throw new LevelFormatError(filePath, message); };
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    fail(`cannot read level sequence (${error.message})`);
+  }
+
+  if (!data || !Array.isArray(data.levels) || data.levels.length === 0) {
+    fail('level sequence must be an object with a non-empty levels array');
+  }
+
+  return data.levels.map((file, i) => {
+    if (typeof file !== 'string') fail(`levels[${i}] must be a file name`);
+    return loadLevel(path.resolve(path.dirname(filePath), file));
+  });
+}
+
+module.exports = {
+  ...LevelFormat,
+  loadLevel,
+  loadLevelSequence
+};
@@ -0,0 +1,253 @@
+// Shared platformer physics used by both the server (servercode.js) and the
+// browser client (game.js). The server runs it authoritatively and the client
+// runs the exact same code for prediction, so any change to movement rules
+// only needs to happen here.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node.js (server)
+    module.exports = factory(require('./tilemap'));
+  } else {
+    // Browser global (client), tilemap.js must be loaded first
+    root.Physics = factory(root.Tilemap);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Tilemap) {
+  'use strict';
+
+  // Default movement, sword and damage tuning. The server sends its copy to clients in the handshake.
+  const DEFAULT_PHYSICS = {
+    gravity: 800,
+    jumpSpeed: -350,
+    speed: 150,
+    minJumpVelocity: -200,
+    jumpCooldown: 0.2,
+    attackDuration: 0.2, // Length of a sword swing (seconds)
+    attackCooldownMax: 0.5, // Wait after a swing ends before the next one (seconds)
+    swordReach: 20,
+    maxHealth: 3,
+    invincibilityTime: 1.5, // Time a player can't be hurt again after a hit (seconds)
+    knockbackSpeed: 180, // Horizontal speed of the push away from whatever hit the player
+    knockbackJump: -200,
+    knockbackTime: 0.3 // Time movement input is ignored after a knockback (seconds)
+  };
+
+  const SWORD_OFFSET_Y = 8; // Distance from the top of the body down to the sword
+  const SWORD_HEIGHT = 16;
+
+  // Check whether the map pixel at (x, y) is solid, using the collision
+  // shape of the tile it falls in
+  function isSolid(map, x, y) {
+    return Tilemap.isSolidAt(map, x, y);
+  }
+
+  // Evenly spaced sample offsets between start and end (inclusive), at least 5
+  function samplePoints(start, end) {
+    const count = Math.max(5, end - start + 1);
+    const points = [];
+    for (let i = 0; i < count; i++) {
+      points.push(Math.floor(start + (i * (end - start)) / (count - 1)));
+    }
+    return points;
+  }
+
+  // Number of sweep steps needed to test every pixel between two positions
+  function sweepSteps(from, to) {
+    return Math.max(2, Math.ceil(Math.abs(to - from)) + 1);
+  }
+
+  // Check for horizontal collisions while moving body to newX.
+  // On collision the body is snapped against the wall and true is returned.
+  function checkHorizontalCollision(map, body, newX) {
+    const rows = samplePoints(Math.floor(body.pos_y), Math.floor(body.pos_y + body.height - 1));
+    const steps = sweepSteps(body.pos_x, newX);
+
+    if (body.vel_x > 0) { // Moving right
+      for (let step = 0; step < steps; step++) {
+        const x = body.pos_x + (step / (steps - 1)) * (newX - body.pos_x);
+        const right = Math.floor(x + body.width);
+
+        for (let i = 0; i < rows.length; i++) {
+          if (isSolid(map, right, rows[i])) {
+            body.pos_x = right - body.width;
+            return true;
+          }
+        }
+      }
+    } else if (body.vel_x < 0) { // Moving left
+      for (let step = 0; step < steps; step++) {
+        const x = body.pos_x + (step / (steps - 1)) * (newX - body.pos_x);
+        const left = Math.floor(x);
+
+        for (let i = 0; i < rows.length; i++) {
+          if (isSolid(map, left, rows[i])) {
+            body.pos_x = left + 1;
+            return true;
+          }
+        }
+      }
+    }
+
+    return false;
+  }
+
+  // Check for vertical collisions while moving body to newY.
+  // On collision the body is snapped against the floor/ceiling and true is returned.
+  function checkVerticalCollision(map, body, newY) {
+    const columns = samplePoints(Math.floor(body.pos_x), Math.floor(body.pos_x + body.width - 1));
+    const steps = sweepSteps(body.pos_y, newY);
+
+    if (body.vel_y > 0) { // Moving down
+      for (let step = 0; step < steps; step++) {
+        const y = body.pos_y + (step / (steps - 1)) * (newY - body.pos_y);
+        const bottom = Math.floor(y + body.height);
+
+        for (let i = 0; i < columns.length; i++) {
+          if (isSolid(map, columns[i], bottom)) {
+            body.pos_y = bottom - body.height;
+            return true;
+          }
+        }
+      }
+    } else if (body.vel_y < 0) { // Moving up
+      for (let step = 0; step < steps; step++) {
+        const y = body.pos_y + (step / (steps - 1)) * (newY - body.pos_y);
+        const top = Math.floor(y);
+
+        for (let i = 0; i < columns.length; i++) {
+          if (isSolid(map, columns[i], top)) {
+            body.pos_y = top + 1;
+            return true;
+          }
+        }
+      }
+    }
+
+    return false;
+  }
+
+  // Move a body by its velocity, resolving collisions one axis at a time
+  function moveWithCollision(map, body, dt) {
+    // Horizontal movement
+    const newX = body.pos_x + body.vel_x * dt;
+    if (!checkHorizontalCollision(map, body, newX)) {
+      body.pos_x = newX;
+    } else {
+      body.vel_x = 0;
+    }
+
+    // The map's left and right edges are walls
+    const maxX = Tilemap.pixelWidth(map) - body.width;
+    if (body.pos_x < 0 || body.pos_x > maxX) {
+      body.pos_x = Math.min(Math.max(body.pos_x, 0), maxX);
+      body.vel_x = 0;
+    }
+
+    // Vertical movement
+    const newY = body.pos_y + body.vel_y * dt;
+    if (!checkVerticalCollision(map, body, newY)) {
+      body.pos_y = newY;
+      body.onGround = false;
+    } else {
+      if (body.vel_y > 0) {
+        body.onGround = true;
+      }
+      body.vel_y = 0;
+    }
+  }
+
+  // Check whether a body has fallen through the bottom of the map into the
+  // kill zone below it
+  function inKillZone(map, body) {
+    return body.pos_y > Tilemap.pixelHeight(map);
+  }
+
+  // Advance a player body by one step of dt seconds using the given input keys.
+  // Returns the events that happened during the step so callers can react
+  // (sounds, effects) without duplicating the rules.
+  function stepPlayer(body, keys, map, physics, dt) {
+    const input = keys || {};
+    const events = { jumped: false, landed: false };
+
+    // Horizontal input, ignored while the body is being knocked back
+    if (body.knockbackTimer > 0) {
+      body.knockbackTimer = Math.max(0, body.knockbackTimer - dt);
+    } else {
+      body.vel_x = 0;
+      if (input.left) {
+        body.vel_x = -physics.speed;
+        body.facingRight = false;
+      }
+      if (input.right) {
+        body.vel_x = physics.speed;
+        body.facingRight = true;
+      }
+    }
+
+    // The jump key has to be released before the next jump
+    if (!input.jump) {
+      body.canJump = true;
+    }
+
+    if (body.jumpCooldown > 0) {
+      body.jumpCooldown = Math.max(0, body.jumpCooldown - dt);
+    }
+
+    if (input.jump && body.onGround && body.canJump && body.jumpCooldown <= 0) {
+      body.vel_y = physics.jumpSpeed;
+      body.onGround = false;
+      body.canJump = false;
+      body.jumpCooldown = physics.jumpCooldown;
+      events.jumped = true;
+    }
+
+    // Variable jump height
+    if (!input.jump && body.vel_y < physics.minJumpVelocity) {
+      body.vel_y = physics.minJumpVelocity;
+    }
+
+    // Gravity
+    body.vel_y += physics.gravity * dt;
+
+    const wasOnGround = body.onGround;
+    moveWithCollision(map, body, dt);
+    events.landed = !wasOnGround && body.onGround;
+
+    return events;
+  }
+
+  // Push a body up and away from the horizontal position fromX
+  function knockBack(body, fromX, physics) {
+    const direction = body.pos_x + body.width / 2 < fromX ? -1 : 1;
+    body.vel_x = direction * physics.knockbackSpeed;
+    body.vel_y = physics.knockbackJump;
+    body.onGround = false;
+    body.knockbackTimer = physics.knockbackTime;
+  }
+
+  // Area hit by a sword swing of the given reach, in front of the body
+  function swordHitbox(body, reach) {
+    return {
+      x: body.facingRight ? body.pos_x + body.width : body.pos_x - reach,
+      y: body.pos_y + SWORD_OFFSET_Y,
+      width: reach,
+      height: SWORD_HEIGHT
+    };
+  }
+
+  // Check if two rectangles are colliding
+  function checkRectCollision(x1, y1, w1, h1, x2, y2, w2, h2) {
+    return x1 < x2 + w2 && x1 + w1 > x2 && y1 < y2 + h2 && y1 + h1 > y2;
+  }
+
+  return {
+    DEFAULT_PHYSICS,
+    isSolid,
+    checkHorizontalCollision,
+    checkVerticalCollision,
+    moveWithCollision,
+    inKillZone,
+    stepPlayer,
+    knockBack,
+    swordHitbox,
+    checkRectCollision
+  };
+});
@@ -0,0 +1,436 @@
+// Binary wire protocol shared by the server (servercode.js) and the browser
+// client (game.js).
+//
+// The protocol is picked during the WebSocket handshake through subprotocols.
+// With PROTOCOL_BINARY the high-volume messages (input, gameState, map) are
+// sent as binary frames encoded here; every other message stays a JSON text
+// frame. PROTOCOL_JSON sends everything as JSON and is kept for debugging.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node.js (server)
+    module.exports = factory(require('./levelformat'));
+  } else {
+    // Browser global (client), levelformat.js must be loaded first
+    root.Protocol = factory(root.LevelFormat);
+  }
+})(typeof self !== 'undefined' ? self : this, function (LevelFormat) {
+  'use strict';
+
+  const PROTOCOL_BINARY = 'pixelknight-binary';
+  const PROTOCOL_JSON = 'pixelknight-json';
+
+  // First byte of every binary message
+  const MESSAGE_CODES = {
+    input: 1,
+    gameState: 2,
+    map: 3
+  };
+
+  // Binary message types a client may send to the server
+  const CLIENT_MESSAGE_TYPES = ['input'];
+
+  const MESSAGE_TYPES = {};
+  Object.keys(MESSAGE_CODES).forEach(type => {
+    MESSAGE_TYPES[MESSAGE_CODES[type]] = type;
+  });
+
+  // Wire types of the replicated snapshot fields, in bitmask order.
+  // Must cover every field in Snapshots.SNAPSHOT_FIELDS.
+  const ENTITY_FIELDS = {
+    players: [
+      ['id', 'string'],
+      ['pos_x', 'f64'],
+      ['pos_y', 'f64'],
+      ['vel_x', 'f64'],
+      ['vel_y', 'f64'],
+      ['width', 'u8'],
+      ['height', 'u8'],
+      ['onGround', 'bool'],
+      ['canJump', 'bool'],
+      ['jumpCooldown', 'f64'],
+      ['facingRight', 'bool'],
+      ['animationFrame', 'u8'],
+      ['lastProcessedInput', 'u32'],
+      ['score', 'u32'],
+      ['knockbackTimer', 'f64'],
+      ['health', 'u8'],
+      ['lives', 'u8'],
+      ['invincibleTimer', 'f32'],
+      ['dead', 'bool']
+    ],
+    enemies: [
+      ['x', 'f32'],
+      ['y', 'f32'],
+      ['width', 'u8'],
+      ['height', 'u8'],
+      ['type', 'string'],
+      ['facingRight', 'bool'],
+      ['animationFrame', 'u8'],
+      ['defeated', 'bool'],
+      ['respawnTimer', 'f32'],
+      ['state', 'string'],
+      ['targetId', 'string'],
+      ['health', 'u16'] // Bosses can have more hit points than fit a byte
+    ],
+    collectibles: [
+      ['x', 'f32'],
+      ['y', 'f32'],
+      ['width', 'u8'],
+      ['height', 'u8'],
+      ['type', 'string'],
+      ['collected', 'bool'],
+      ['animationFrame', 'u8']
+    ],
+    projectiles: [
+      ['x', 'f32'],
+      ['y', 'f32'],
+      ['width', 'u8'],
+      ['height', 'u8'],
+      ['type', 'string'],
+      ['vel_x', 'f32'],
+      ['vel_y', 'f32']
+    ]
+  };
+
+  const ENTITY_KINDS = Object.keys(ENTITY_FIELDS);
+
+  // Input keys packed into one byte
+  const KEY_BITS = {
+    left: 1,
+    right: 2,
+    jump: 4
+  };
+
+  const textEncoder = new TextEncoder();
+  const textDecoder = new TextDecoder();
+
+  // Growable buffer for encoding
+  class BinaryWriter {
+    constructor(initialSize) {
+      this.buffer = new ArrayBuffer(initialSize || 256);
+      this.view = new DataView(this.buffer);
+      this.offset = 0;
+    }
+
+    ensure(bytes) {
+      if (this.offset + bytes <= this.buffer.byteLength) return;
+
+      let size = this.buffer.byteLength * 2;
+      while (size < this.offset + bytes) size *= 2;
+
+      const grown = new ArrayBuffer(size);
+      new Uint8Array(grown).set(new Uint8Array(this.buffer, 0, this.offset));
+      this.buffer = grown;
+      this.view = new DataView(grown);
+    }
+
+    u8(value) { this.ensure(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+    u16(value) { this.ensure(2); this.view.setUint16(this.offset, value); this.offset += 2; }
+    u32(value) { this.ensure(4); this.view.setUint32(this.offset, value); this.offset += 4; }
+    i32(value) { this.ensure(4); this.view.setInt32(this.offset, value); this.offset += 4; }
+    f32(value) { this.ensure(4); this.view.setFloat32(this.offset, value); this.offset += 4; }
+    f64(value) { this.ensure(8); this.view.setFloat64(this.offset, value); this.offset += 8; }
+    bool(value) { this.u8(value ? 1 : 0); }
+
+    // Length-prefixed UTF-8 string, up to 255 bytes
+    string(value) {
+      const bytes = textEncoder.encode(String(value));
+      if (bytes.length > 255) {
+        throw new Error(`String too long for binary protocol: ${bytes.length} bytes`);
+      }
+      this.u8(bytes.length);
+      this.ensure(bytes.length);
+      new Uint8Array(this.buffer, this.offset, bytes.length).set(bytes);
+      this.offset += bytes.length;
+    }
+
+    finish() {
+      return new Uint8Array(this.buffer, 0, this.offset);
+    }
+  }
+
+  // Sequential reader over a received buffer
+  class BinaryReader {
+    constructor(data) {
+      if (data instanceof ArrayBuffer) {
+        this.view = new DataView(data);
+      } else {
+        // Node.js Buffer or other typed array
+        this.view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+      }
+      this.offset = 0;
+    }
+
+    u8() { const value = this.view.getUint8(this.offset); this.offset += 1; return value; }
+    u16() { const value = this.view.getUint16(this.offset); this.offset += 2; return value; }
+    u32() { const value = this.view.getUint32(this.offset); this.offset += 4; return value; }
+    i32() { const value = this.view.getInt32(this.offset); this.offset += 4; return value; }
+    f32() { const value = this.view.getFloat32(this.offset); this.offset += 4; return value; }
+    f64() { const value = this.view.getFloat64(this.offset); this.offset += 8; return value; }
+    bool() { return this.u8() !== 0; }
+
+    string() {
+      const length = this.u8();
+      const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + this.offset, length);
+      this.offset += length;
+      return textDecoder.decode(bytes);
+    }
+  }
+
+  // Input: sequence, dt and packed keys
+  function encodeInput(writer, message) {
+    let keyBits = 0;
+    Object.keys(KEY_BITS).forEach(key => {
+      if (message.keys[key]) keyBits |= KEY_BITS[key];
+    });
+
+    writer.u32(message.sequence);
+    writer.f64(message.dt);
+    writer.u8(keyBits);
+  }
+
+  function decodeInput(reader) {
+    const sequence = reader.u32();
+    const dt = reader.f64();
+    const keyBits = reader.u8();
+
+    // NaN or infinite steps would turn the player's position into NaN
+    if (!Number.isFinite(dt)) {
+      throw new Error('Input dt must be a finite number');
+    }
+
+    const keys = {};
+    Object.keys(KEY_BITS).forEach(key => {
+      keys[key] = (keyBits & KEY_BITS[key]) !== 0;
+    });
+
+    return { type: 'input', sequence, dt, keys };
+  }
+
+  // Game state delta: every changed entity is written as its key, a bitmask of
+  // the fields present and then those field values in schema order, followed
+  // by the keys of removed entities and the fields entities no longer have
+  function encodeGameState(writer, message) {
+    writer.u32(message.tick);
+    writer.i32(message.baseTick);
+    writer.f64(message.serverTime);
+
+    ENTITY_KINDS.forEach(kind => {
+      const fields = ENTITY_FIELDS[kind];
+      const entities = message[kind] || {};
+      const keys = Object.keys(entities);
+
+      writer.u16(keys.length);
+      keys.forEach(key => {
+        const entity = entities[key];
+        let mask = 0;
+
+        Object.keys(entity).forEach(name => {
+          const index = fields.findIndex(field => field[0] === name);
+          if (index < 0) {
+            throw new Error(`No wire type for ${kind} field "${name}"`);
+          }
+          mask |= 1 << index;
+        });
+
+        writer.string(key);
+        writer.u32(mask >>> 0);
+        fields.forEach(([name, type], index) => {
+          if (mask & (1 << index)) {
+            writer[type](entity[name]);
+          }
+        });
+      });
+    });
+
+    const removed = message.removed || {};
+    ENTITY_KINDS.forEach(kind => {
+      const keys = removed[kind] || [];
+      writer.u16(keys.length);
+      keys.forEach(key => writer.string(key));
+    });
+
+    // Fields that became undefined: kind index, key and a bitmask of the fields
+    const cleared = [];
+    ENTITY_KINDS.forEach((kind, kindIndex) => {
+      const entities = (message.cleared && message.cleared[kind]) || {};
+      Object.keys(entities).forEach(key => {
+        const mask = entities[key].reduce((bits, name) => {
+          const index = ENTITY_FIELDS[kind].findIndex(field => field[0] === name);
+          if (index < 0) {
+            throw new Error(`No wire type for ${kind} field "${name}"`);
+          }
+          return bits | (1 << index);
+        }, 0);
+        cleared.push([kindIndex, key, mask]);
+      });
+    });
+    writer.u16(cleared.length);
+    cleared.forEach(([kindIndex, key, mask]) => {
+      writer.u8(kindIndex);
+      writer.string(key);
+      writer.u32(mask >>> 0);
+    });
+  }
+
+  function decodeGameState(reader) {
+    const message = {
+      type: 'gameState',
+      tick: reader.u32(),
+      baseTick: reader.i32(),
+      serverTime: reader.f64()
+    };
+
+    ENTITY_KINDS.forEach(kind => {
+      const fields = ENTITY_FIELDS[kind];
+      const count = reader.u16();
+      if (count === 0) return;
+
+      const entities = {};
+      for (let i = 0; i < count; i++) {
+        const key = reader.string();
+        const mask = reader.u32();
+        const entity = {};
+
+        fields.forEach(([name, type], index) => {
+          if (mask & (1 << index)) {
+            entity[name] = reader[type]();
+          }
+        });
+
+        entities[key] = entity;
+      }
+      message[kind] = entities;
+    });
+
+    const removed = {};
+    ENTITY_KINDS.forEach(kind => {
+      const count = reader.u16();
+      if (count === 0) return;
+
+      removed[kind] = [];
+      for (let i = 0; i < count; i++) {
+        removed[kind].push(reader.string());
+      }
+    });
+    if (Object.keys(removed).length > 0) {
+      message.removed = removed;
+    }
+
+    const clearedCount = reader.u16();
+    if (clearedCount > 0) {
+      message.cleared = {};
+      for (let i = 0; i < clearedCount; i++) {
+        const kind = ENTITY_KINDS[reader.u8()];
+        if (!kind) throw new Error('Unknown entity kind in cleared fields');
+        const key = reader.string();
+        const mask = reader.u32();
+        message.cleared[kind] = message.cleared[kind] || {};
+        message.cleared[kind][key] = ENTITY_FIELDS[kind]
+          .filter((field, index) => mask & (1 << index))
+          .map(field => field[0]);
+      }
+    }
+
+    return message;
+  }
+
+  // Map: size, tile size and run-length encoded tile indices in row-major order
+  function encodeMap(writer, message) {
+    const mapData = message.mapData;
+    const tiles = mapData.tiles;
+
+    writer.u16(mapData.width);
+    writer.u16(mapData.height);
+    writer.u8(mapData.tileSize);
+
+    let i = 0;
+    while (i < tiles.length) {
+      let length = 1;
+      while (i + length < tiles.length && tiles[i + length] === tiles[i] && length < 0xffff) {
+        length++;
+      }
+      writer.u16(length);
+      writer.u8(tiles[i]);
+      i += length;
+    }
+  }
+
+  function decodeMap(reader) {
+    const width = reader.u16();
+    const height = reader.u16();
+    const tileSize = reader.u8();
+    if (width > LevelFormat.MAX_MAP_SIZE || height > LevelFormat.MAX_MAP_SIZE) {
+      throw new Error(`Map size ${width}x${height} is above ${LevelFormat.MAX_MAP_SIZE} tiles per side`);
+    }
+
+    const tiles = [];
+    while (tiles.length < width * height) {
+      const length = reader.u16();
+      const index = reader.u8();
+      if (length === 0 || tiles.length + length > width * height) {
+        throw new Error('Map tile run is empty or goes past the end of the map');
+      }
+      for (let i = 0; i < length; i++) {
+        tiles.push(index);
+      }
+    }
+
+    return { type: 'map', mapData: { width, height, tileSize, tiles } };
+  }
+
+  const ENCODERS = {
+    input: encodeInput,
+    gameState: encodeGameState,
+    map: encodeMap
+  };
+
+  const DECODERS = {
+    input: decodeInput,
+    gameState: decodeGameState,
+    map: decodeMap
+  };
+
+  // Whether a message type has a binary encoding
+  function isBinaryType(type) {
+    return MESSAGE_CODES[type] !== undefined;
+  }
+
+  // Encode a message object into a binary frame
+  function encodeMessage(message) {
+    if (!isBinaryType(message.type)) {
+      throw new Error(`Message type "${message.type}" has no binary encoding`);
+    }
+
+    const writer = new BinaryWriter();
+    writer.u8(MESSAGE_CODES[message.type]);
+    ENCODERS[message.type](writer, message);
+    return writer.finish();
+  }
+
+  // Decode a binary frame (ArrayBuffer, Buffer or typed array) into a message
+  // object. allowedTypes, when given, lists the only message types accepted;
+  // anything else is rejected before its body is read.
+  function decodeMessage(data, allowedTypes) {
+    const reader = new BinaryReader(data);
+    const type = MESSAGE_TYPES[reader.u8()];
+
+    if (!type) {
+      throw new Error('Unknown binary message type');
+    }
+    if (allowedTypes && !allowedTypes.includes(type)) {
+      throw new Error(`Binary message type "${type}" is not accepted here`);
+    }
+
+    return DECODERS[type](reader);
+  }
+
+  return {
+    PROTOCOL_BINARY,
+    PROTOCOL_JSON,
+    CLIENT_MESSAGE_TYPES,
+    isBinaryType,
+    encodeMessage,
+    decodeMessage
+  };
+});
@@ -1,130 +1,253 @@
+const path = require('path');
+const crypto = require('crypto');
 const WebSocket = require('ws');
+const Physics = require('./physics');
+const Snapshots = require('./snapshots');
+const Protocol = require('./protocol');
+const Tilemap = require('./tilemap');
+const Levels = require('./levels');
+const EditOps = require('./editops');
+const EnemyAI = require('./enemyai');
 const server = new WebSocket.Server({ 
   port: 8080,
-  perMessageDeflate: false // Disable compression which might cause issues
+  perMessageDeflate: false, // Disable compression which might cause issues
+  handleProtocols: selectProtocol
 });
 
 // Game constants
-const TILE_SIZE = 16; // Each tile is 16x16 pixels
-const MAP_WIDTH = 1000;
-const MAP_HEIGHT = 240;
-const TICK_RATE = 10; // 10 updates per second
+const TILE_SIZE = Tilemap.TILE_SIZE; // Each tile is 16x16 pixels
+const LEVEL_SEQUENCE_FILE = path.join(__dirname, 'levels', 'sequence.json'); // Levels played in order
+const LEVEL_FILE = process.env.LEVEL; // Play only this level file instead of the sequence
+const LEVEL_TRANSITION_DELAY = 4000; // Time the level complete screen is shown before the next level (ms)
+const SIMULATION_RATE = Number(process.env.SIMULATION_RATE) || 60; // Fixed simulation steps per second
+const SNAPSHOT_RATE = Number(process.env.SNAPSHOT_RATE) || 20; // Game state snapshots sent per second
+const SHARED_CHECKPOINTS = process.env.CHECKPOINTS !== 'player'; // Whether a checkpoint reached by anyone counts for the whole room
+const SIMULATION_STEP = 1 / SIMULATION_RATE; // Seconds simulated by one tick
+const TICKS_PER_SNAPSHOT = Math.max(1, Math.round(SIMULATION_RATE / SNAPSHOT_RATE));
+const MAX_TICKS_PER_UPDATE = 10; // Drop simulation time instead of spiralling when the server stalls
+const KEYFRAME_INTERVAL = SIMULATION_RATE * 5; // Ticks between full snapshots sent to each client
+const SNAPSHOT_HISTORY_SIZE = 64; // Snapshots kept as delta baselines
 const HEARTBEAT_INTERVAL = 3000;
 const INACTIVITY_TIMEOUT = 30000;
+const RESUME_GRACE_PERIOD = 20000; // How long a disconnected player's session can be resumed (ms)
+const MAX_INPUT_DT = 0.1; // Longest step a single client input may simulate (seconds)
+const MAX_QUEUED_INPUTS = 120; // Inputs buffered per player before the oldest are dropped
+const MAX_INPUT_BUDGET = 0.25; // Simulated time a player's inputs may lag behind the server clock before they are stepped without them (seconds)
+const COIN_SCORE = 10; // Points for picking up a coin
+const ENEMY_SCORE = 50; // Points for defeating an enemy
+const BOSS_SCORE = 500; // Points for landing the blow that defeats a boss
+const COIN_PICKUP_RANGE = 16; // How far from a coin a client-reported pickup is still believed (pixels)
+const STARTING_LIVES = 3;
+const RESPAWN_DELAY = 2; // Time a player stays down after dying (seconds)
+const ATTACK_COOLDOWN_TOLERANCE = 0.05; // Sword cooldown left that is forgiven for network jitter (seconds)
+const THROW_COOLDOWN = 1; // Time between a player's dagger throws (seconds)
+const ENEMY_RESPAWN_TIME = 5; // Time a defeated enemy stays down (seconds)
+const PROJECTILE_STEP = 2; // Largest distance a projectile moves between tile checks (pixels)
 
-let gameState = {
-  players: {},
-  enemies: [],
-  collectibles: [],
-  map: [],
-  physics: { 
-    gravity: 800, 
-    jumpSpeed: -350, 
-    speed: 150, 
-    tileSize: 16,
-    minJumpVelocity: -200
-  }
+// Projectile types: size, launch speed (and upward speed for thrown ones),
+// whether gravity pulls them down, lifetime in seconds and damage to players
+const PROJECTILE_TYPES = {
+  bolt: { width: 6, height: 2, speed: 160, lift: 0, gravity: false, lifetime: 2, damage: 1 }, // Fired by robots
+  dagger: { width: 8, height: 4, speed: 220, lift: -150, gravity: true, lifetime: 1.5, damage: 1 }, // Thrown by players
+  boulder: { width: 10, height: 10, speed: 120, lift: -200, gravity: true, lifetime: 3, damage: 1 } // Thrown by golems
 };
+const ENEMY_PROJECTILES = { robot: 'bolt', golem: 'boulder' }; // Projectile each type of enemy that shoots fires
+const MAX_EDIT_HISTORY = 100; // Level edits each player can undo
+const MAX_EDITS_PER_SECOND = 10; // Edits, undos and redos each player may send per second
+const ROOM_CODE_PATTERN = /^[A-Za-z0-9_-]{1,32}$/; // Allowed room codes
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Characters of generated room codes, without look-alikes
+const ROOM_CODE_LENGTH = 5; // Length of generated room codes
+const DEFAULT_MAX_PLAYERS = 8; // Players a room holds unless its creator picks otherwise
+const MAX_ROOM_PLAYERS = 16; // Most players a room can be created for
+const MAX_PASSWORD_LENGTH = 32;
+const MAX_NAME_LENGTH = 16; // Longest display name
+
+let rooms = {}; // Rooms by code, waiting for their match to start or playing
+let lobbyClients = {}; // Clients not in any room, sent room list updates
+let sessions = {}; // Player sessions by resume token
+let levels = []; // Loaded levels in play order, shared by every room
+
+// Load the levels
+initializeLevels();
 
-let heartbeats = {};
+server.on('connection', (ws, request) => {
+  const protocol = ws.protocol === Protocol.PROTOCOL_BINARY ? Protocol.PROTOCOL_BINARY : Protocol.PROTOCOL_JSON;
+  const params = new URL(request.url, 'http://localhost').searchParams;
 
-// Initialize the game state
-initializeGameState();
+  // A client reconnecting with its session token (ws://host:8080/?session=token)
+  // takes its player back; anyone else starts a new session
+  const resumedSession = resumeSession(params.get('session'), ws, protocol);
+  const session = resumedSession || createSession(ws, protocol);
+  const { playerId, client } = session;
 
-server.on('connection', ws => {
-  const playerId = Date.now().toString();
+  console.log("Connection: id = " + playerId + ", protocol = " + protocol + (resumedSession ? ", resumed" : ""));
+
+  // Move the player out of their room, if any, and into the lobby
+  const leaveRoom = () => {
+    if (session.room && session.room.members[playerId]) {
+      removePlayer(session.room, playerId);
+    }
+    session.room = null;
+    lobbyClients[playerId] = client;
+  };
 
-  console.log("Connection: id = " + playerId);
+  // Move the player into the room with the given code when they may join it
+  const enterRoom = (code, password) => {
+    const reason = joinError(code, password);
+    if (reason) {
+      sendToClient(client, { type: 'joinRejected', room: code, reason });
+      return false;
+    }
+    leaveRoom();
+    session.room = joinRoom(playerId, client, code);
+    return true;
+  };
 
   try {
-    // Send initial handshake
-    const handshakeData = {
-      type: 'handshake',
+    // Tell the client who they are, how to resume and which levels rooms can start on
+    sendToClient(client, {
+      type: 'welcome',
       playerId,
-      mapData: gameState.map,
-      enemiesData: gameState.enemies,
-      collectiblesData: gameState.collectibles,
-      characterProperties: gameState.physics,
-      serverTime: Date.now()
-    };
-    
-    console.log("Sending handshake with:");
-    console.log("- Map data size:", gameState.map.length);
-    console.log("- Enemies:", gameState.enemies.length);
-    console.log("- Collectibles:", gameState.collectibles.length);
-    
-    const handshakeJSON = JSON.stringify(handshakeData);
-    console.log(`Handshake JSON length: ${handshakeJSON.length} bytes`);
-    
-    // Send using callback to check for errors
-    ws.send(handshakeJSON, (err) => {
-      if (err) {
-        console.error("Error sending handshake:", err);
-      } else {
-        console.log("Handshake sent successfully");
-      }
+      session: session.token,
+      resumed: !!resumedSession,
+      name: client.name,
+      levels: levels.map(level => level.metadata.name)
     });
 
-    // Initialize player state
-    gameState.players[playerId] = {
-      id: playerId,
-      pos_x: 50, 
-      pos_y: 100, 
-      vel_x: 0, 
-      vel_y: 0, 
-      width: 16,
-      height: 24,
-      onGround: false,
-      facingRight: true,
-      animationFrame: 0,
-      lastProcessedInput: 0
-    };
-
-    heartbeats[playerId] = Date.now();
+    const room = session.room;
+    if (resumedSession && room && room.gameState.players[playerId]) {
+      // Back into the match where the player left off
+      rejoinMatch(room, playerId);
+    } else if (resumedSession && room && room.members[playerId]) {
+      sendRoomUpdate(room);
+    } else {
+      // The room code can be given in the connection URL: ws://host:8080/?room=code.
+      // Clients that don't name one wait in the lobby.
+      const requestedRoom = params.get('room');
+      if (!requestedRoom || !enterRoom(requestedRoom, null)) {
+        leaveRoom();
+        sendToClient(client, roomList());
+      }
+    }
 
-    ws.on('message', msg => {
+    ws.on('message', (msg, isBinary) => {
       try {
-        // Check if message is a string or buffer and handle accordingly
-        const msgStr = msg instanceof Buffer ? msg.toString() : msg;
-        
-        // Log the raw message for debugging
-        console.log(`Raw message from client ${playerId}:`, msgStr.substring(0, 100) + (msgStr.length > 100 ? '...' : ''));
-        
-        const data = JSON.parse(msgStr);
+        // Binary frames use the binary protocol, text frames are JSON
+        let data;
+        if (isBinary) {
+          // Only decode what clients may send; a forged map or game state is dropped unread
+          data = Protocol.decodeMessage(msg, Protocol.CLIENT_MESSAGE_TYPES);
+        } else {
+          const msgStr = msg.toString();
+          
+          // Log the raw message for debugging
+          console.log(`Raw message from client ${playerId}:`, msgStr.substring(0, 100) + (msgStr.length > 100 ? '...' : ''));
+          
+          data = JSON.parse(msgStr);
+        }
+
+        // A newer connection has taken over this session
+        if (client.ws !== ws) return;
+
+        const room = session.room;
+
+        if (data.type === 'disconnect') {
+          // Leaving on purpose, so there is nothing to resume
+          endSession(session);
+          return;
+        }
+
+        // Lobby messages
+        if (data.type === 'listRooms') {
+          sendToClient(client, roomList());
+          return;
+        }
+
+        if (data.type === 'setName') {
+          setPlayerName(room, playerId, client, data.name);
+          return;
+        }
+
+        if (data.type === 'createRoom') {
+          const options = roomOptions(data);
+          if (typeof options === 'string') {
+            sendToClient(client, { type: 'joinRejected', room: null, reason: options });
+            return;
+          }
+          leaveRoom();
+          const code = generateRoomCode();
+          createRoom(code, { ...options, host: playerId, started: false });
+          session.room = joinRoom(playerId, client, code);
+          return;
+        }
+
+        if (data.type === 'joinRoom') {
+          if (!room || data.room !== room.code || !room.members[playerId]) {
+            enterRoom(data.room, data.password);
+          }
+          return;
+        }
+
+        if (data.type === 'leaveRoom') {
+          leaveRoom();
+          sendToClient(client, roomList());
+          return;
+        }
+
+        if (data.type === 'setReady') {
+          setPlayerReady(room, playerId, !!data.ready);
+          return;
+        }
+
+        if (data.type === 'startMatch') {
+          startMatch(room, playerId);
+          return;
+        }
+
+        // Game messages, only from players in a match
+        if (!room || !room.gameState.players[playerId]) return;
 
         if (data.type === 'heartbeat') {
-          heartbeats[playerId] = Date.now();
+          room.heartbeats[playerId] = Date.now();
           return;
         }
 
         if (data.type === 'input') {
-          if (gameState.players[playerId]) {
-            // Store the input state
-            gameState.players[playerId].keys = data.keys;
-            gameState.players[playerId].lastProcessedInput = data.sequence;
-            heartbeats[playerId] = Date.now();
-          }
+          // Queue the input so it is simulated with the same dt the client used
+          queuePlayerInput(room, playerId, data);
+          room.heartbeats[playerId] = Date.now();
+        }
+        
+        if (data.type === 'ack') {
+          // Client has rebuilt this snapshot and can use it as a delta baseline
+          acknowledgeSnapshot(room, playerId, data.tick);
         }
         
         if (data.type === 'collectCoin') {
-          if (data.coinIndex >= 0 && data.coinIndex < gameState.collectibles.length) {
-            gameState.collectibles[data.coinIndex].collected = true;
-          }
+          handleCollectCoin(room, room.gameState.players[playerId], data.coinId);
         }
         
+        if (data.type === 'editOp') {
+          handleEditOp(room, playerId, data);
+        }
+
+        if (data.type === 'editUndo' || data.type === 'editRedo') {
+          handleEditHistory(room, playerId, data.type === 'editUndo');
+        }
+
         if (data.type === 'swordAttack') {
-          // Handle sword attack from client
-          handleSwordAttack(data);
+          // Swing on the next tick, once the inputs sent before it are simulated
+          room.gameState.players[playerId].attackRequested = true;
         }
 
-        if (data.type === 'disconnect') {
-          delete gameState.players[playerId];
-          delete heartbeats[playerId];
-          broadcast({ 
-            type: 'playerDisconnected', 
-            playerId 
-          });
+        if (data.type === 'throwProjectile') {
+          room.gameState.players[playerId].throwRequested = true;
+        }
+
+        if (data.type === 'restartRequest') {
+          handleRestartRequest(room, playerId, data.confirmed === true);
         }
+
       } catch (error) {
         console.error('Error processing message:', error);
         console.error('Raw message content:', msg);
@@ -132,465 +255,739 @@ server.on('connection', ws => {
     });
 
     ws.on('close', () => {
-      delete gameState.players[playerId];
-      delete heartbeats[playerId];
-      broadcast({ 
-        type: 'playerDisconnected', 
-        playerId 
-      });
-    });
-
-    // Broadcast to all clients that a new player has joined
-    broadcast({
-      type: 'playerJoined',
-      playerId,
-      player: gameState.players[playerId]
+      // Ignore connections that were replaced or sessions that were ended
+      if (client.ws === ws && sessions[session.token] === session) {
+        suspendSession(session);
+      }
     });
   } catch (error) {
     console.error("Error in connection handler:", error);
   }
 });
 
-// Game Loop
-setInterval(() => {
-  const now = Date.now();
-  
-  // Update players
-  Object.entries(gameState.players).forEach(([id, player]) => {
-    if (now - heartbeats[id] > INACTIVITY_TIMEOUT) {
-      delete gameState.players[id];
-      delete heartbeats[id];
-      broadcast({ 
-        type: 'playerDisconnected', 
-        playerId: id 
-      });
-      return;
-    }
+// Start a session for a new connection, with a random player ID and a
+// secret token the client can resume it with
+function createSession(ws, protocol) {
+  const playerId = crypto.randomBytes(8).toString('hex');
+  const session = {
+    token: crypto.randomBytes(16).toString('hex'),
+    playerId,
+    client: {
+      ws,
+      protocol,
+      name: `Knight ${playerId.slice(-4)}`, // Display name, until the player sets one
+      ackTick: -1, // Newest snapshot the client confirmed it has
+      lastKeyframeTick: -Infinity
+    },
+    room: null, // Room the player is in, null while in the lobby
+    resumeTimer: null // Ends the session if the client doesn't come back in time
+  };
+  sessions[session.token] = session;
+  return session;
+}
 
-    // Process player input
-    processPlayerInput(player);
+// Hand a suspended session over to a new connection. Returns the session,
+// or null when the token is unknown or its grace period is over.
+function resumeSession(token, ws, protocol) {
+  if (!token || !Object.prototype.hasOwnProperty.call(sessions, token)) return null;
 
-    // Apply physics
-    player.vel_y += gameState.physics.gravity * (TICK_RATE / 1000);
-    
-    // Apply movement with collision detection
-    movePlayerWithCollision(player, TICK_RATE / 1000);
-  });
+  const session = sessions[token];
+  const oldWs = session.client.ws;
+  clearTimeout(session.resumeTimer);
+  session.resumeTimer = null;
 
-  // Update enemies
-  updateEnemies(TICK_RATE / 1000);
+  session.client.ws = ws;
+  session.client.protocol = protocol;
+  session.client.ackTick = -1;
+  session.client.lastKeyframeTick = -Infinity;
 
-  // Check for collisions
-  checkCollisions();
+  // A client can come back before the server noticed its old connection drop
+  if (oldWs.readyState === WebSocket.OPEN) {
+    oldWs.close();
+  }
+  return session;
+}
 
-  // Send game state to all clients
-  if (Object.keys(gameState.players).length > 0) {
-    console.log(`Broadcasting game state with ${Object.keys(gameState.players).length} players`);
-    console.log("Player IDs:", Object.keys(gameState.players).join(', '));
-    
-    broadcast({ 
-      type: 'gameState', 
-      players: gameState.players, 
-      enemies: gameState.enemies, 
-      collectibles: gameState.collectibles,
-      serverTime: Date.now()
-    });
+// Keep a disconnected player's session, and their place in their room, for
+// RESUME_GRACE_PERIOD so the client can reconnect and carry on
+function suspendSession(session) {
+  const { playerId, room } = session;
+  console.log(`Player ${playerId} disconnected, session kept for ${RESUME_GRACE_PERIOD / 1000}s`);
+
+  delete lobbyClients[playerId];
+  if (room) {
+    // Away players are not timed out for inactivity; the grace period covers them
+    delete room.heartbeats[playerId];
   }
-}, TICK_RATE);
+  session.resumeTimer = setTimeout(() => endSession(session), RESUME_GRACE_PERIOD);
+}
 
-// Heartbeat monitoring
-setInterval(() => {
-  const now = Date.now();
-  Object.keys(heartbeats).forEach(id => {
-    if (now - heartbeats[id] > INACTIVITY_TIMEOUT) {
-      delete gameState.players[id];
-      delete heartbeats[id];
-      broadcast({ 
-        type: 'playerDisconnected', 
-        playerId: id 
-      });
-    }
-  });
-}, HEARTBEAT_INTERVAL);
+// End a session for good, removing the player from their room
+function endSession(session) {
+  const { playerId, room } = session;
+  clearTimeout(session.resumeTimer);
+  if (room && room.members[playerId]) {
+    removePlayer(room, playerId);
+  }
+  session.room = null;
+  delete lobbyClients[playerId];
+  delete sessions[session.token];
+}
 
-function processPlayerInput(player) {
-  // Reset horizontal velocity
-  player.vel_x = 0;
-  
-  // Apply input
-  if (player.keys) {
-    if (player.keys.left) {
-      player.vel_x = -gameState.physics.speed;
-      player.facingRight = false;
-    }
-    if (player.keys.right) {
-      player.vel_x = gameState.physics.speed;
-      player.facingRight = true;
-    }
-    if (player.keys.jump && player.onGround) {
-      player.vel_y = gameState.physics.jumpSpeed;
-      player.onGround = false;
-    }
-    // Variable jump height
-    if (!player.keys.jump && player.vel_y < gameState.physics.minJumpVelocity) {
-      player.vel_y = gameState.physics.minJumpVelocity;
-    }
+// Check whether a player may join the room with the given code. Returns why
+// they can't, or null when they can. Codes no room has yet are free to join.
+function joinError(code, password) {
+  if (typeof code !== 'string' || !ROOM_CODE_PATTERN.test(code)) {
+    return 'room codes are 1 to 32 letters, digits, - or _';
   }
+
+  const room = rooms[code];
+  if (!room) return null;
+  if (Object.keys(room.members).length >= room.maxPlayers) return 'room is full';
+  if (room.password && password !== room.password) return 'wrong password';
+  return null;
 }
 
-function movePlayerWithCollision(player, dt) {
-  // Horizontal movement
-  const newX = player.pos_x + player.vel_x * dt;
-  if (!checkHorizontalCollision(newX, player.pos_y, player)) {
-    player.pos_x = newX;
-  } else {
-    player.vel_x = 0;
+// Validate the options of a createRoom message. Returns them with defaults
+// filled in, or an error message.
+function roomOptions(data) {
+  const level = data.level === undefined ? 0 : data.level;
+  const maxPlayers = data.maxPlayers === undefined ? DEFAULT_MAX_PLAYERS : data.maxPlayers;
+  const password = data.password || null;
+  const editing = data.editing === undefined ? false : data.editing;
+
+  if (!Number.isInteger(level) || level < 0 || level >= levels.length) {
+    return `level must be a level number from 0 to ${levels.length - 1}`;
+  }
+  if (!Number.isInteger(maxPlayers) || maxPlayers < 1 || maxPlayers > MAX_ROOM_PLAYERS) {
+    return `maxPlayers must be from 1 to ${MAX_ROOM_PLAYERS}`;
   }
+  if (password !== null && (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH)) {
+    return `password must be text of at most ${MAX_PASSWORD_LENGTH} characters`;
+  }
+  if (typeof editing !== 'boolean') {
+    return 'editing must be true or false';
+  }
+  return { level, maxPlayers, password, editing };
+}
 
-  // Vertical movement
-  const newY = player.pos_y + player.vel_y * dt;
-  if (!checkVerticalCollision(player.pos_x, newY, player)) {
-    player.pos_y = newY;
-    player.onGround = false;
-  } else {
-    if (player.vel_y > 0) {
-      player.onGround = true;
+// Pick an unused room code for a new room
+function generateRoomCode() {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code += ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)];
     }
-    player.vel_y = 0;
-  }
+  } while (rooms[code]);
+  return code;
+}
+
+// Put a player into the room with the given code, creating an open room that
+// plays right away if there is none. Players joining a match in progress go
+// straight into the game; otherwise they wait in the room until the host
+// starts it. The caller checks joinError first.
+function joinRoom(playerId, client, code) {
+  const room = rooms[code] || createRoom(code, { host: playerId, started: true });
 
+  delete lobbyClients[playerId];
+  room.clients[playerId] = client;
+  room.members[playerId] = { name: client.name, ready: false };
 
-  // Check if character fell off the map
-  if (player.pos_y > MAP_HEIGHT) {
-    playerHit(player.id, 1);
+  if (room.started) {
+    enterMatch(room, playerId);
   }
+
+  sendRoomUpdate(room);
+  broadcastRoomList();
+  return room;
 }
 
-// Check for horizontal collisions
-function checkHorizontalCollision(newX, y, character) {
-  // Get the previous position for side detection
-  const prevLeftX = character.pos_x;
-  const prevRightX = character.pos_x + character.width;
-  const newLeftX = newX;
-  const newRightX = newX + character.width;
+// Add a room member to the running match and send them its handshake
+function enterMatch(room, playerId) {
+  sendHandshake(room, playerId);
 
-  // Use more precise collision detection with floating point values
-  const top = Math.floor(y);
-  const bottom = Math.floor(y + character.height - 1);
-  
-  // Check multiple points along the character's height for better collision detection
-  const checkPoints = Math.max(5, bottom - top + 1); // At least 5 check points
+  // Initialize player state
+  room.gameState.players[playerId] = {
+    id: playerId,
+    pos_x: room.gameState.level.playerSpawn.x,
+    pos_y: room.gameState.level.playerSpawn.y,
+    vel_x: 0, 
+    vel_y: 0, 
+    width: 16,
+    height: 24,
+    onGround: false,
+    canJump: true,
+    jumpCooldown: 0,
+    facingRight: true,
+    animationFrame: 0,
+    attackCooldown: 0, // Time until the next sword swing is allowed
+    attackRequested: false,
+    throwCooldown: 0, // Time until the next dagger throw is allowed
+    throwRequested: false,
+    knockbackTimer: 0,
+    score: 0,
+    health: room.gameState.physics.maxHealth,
+    lives: STARTING_LIVES,
+    invincibleTimer: 0, // Time left before the player can be hurt again
+    dead: false,
+    respawnTimer: 0, // Time left before a dead player with lives left respawns
+    checkpoint: null, // Last checkpoint the player touched, unless checkpoints are shared
+    levelStartScore: 0, // Score when the current level started, restored if it is restarted
+    lastProcessedInput: 0,
+    inputBudget: 0 // Server time not yet simulated for the player (seconds)
+  };
+
+  room.heartbeats[playerId] = Date.now();
+  room.inputQueues[playerId] = [];
+
+  // Tell everyone in the room that a new player has joined
+  broadcast(room, {
+    type: 'playerJoined',
+    playerId,
+    player: room.gameState.players[playerId]
+  });
+}
+
+// Put a player with a resumed session back into their match, keeping their
+// position and everything else the server tracks for them
+function rejoinMatch(room, playerId) {
+  const player = room.gameState.players[playerId];
+
+  // The reconnected client numbers its inputs from where it is now
+  player.lastProcessedInput = 0;
+  player.inputBudget = 0;
+  room.inputQueues[playerId] = [];
+  room.heartbeats[playerId] = Date.now();
+
+  sendHandshake(room, playerId);
+  sendRoomUpdate(room);
+}
+
+// Send a room member the level, their player and the simulation settings
+function sendHandshake(room, playerId) {
+  const client = room.clients[playerId];
+  client.ackTick = -1;
+  client.lastKeyframeTick = -Infinity;
+
+  // Send initial handshake. Binary clients get the map as a separate binary message.
+  const handshakeData = {
+    type: 'handshake',
+    playerId,
+    protocol: client.protocol,
+    room: room.code,
+    player: room.gameState.players[playerId], // Present when resuming
+    checkpoint: currentCheckpoint(room, playerId),
+    ...levelData(room, client),
+    characterProperties: room.gameState.physics,
+    tick: room.currentTick,
+    simulationRate: SIMULATION_RATE,
+    snapshotRate: SIMULATION_RATE / TICKS_PER_SNAPSHOT,
+    serverTime: Date.now()
+  };
   
-  // Calculate horizontal movement distance in pixels
-  const movementDistance = Math.abs(newX - character.pos_x);
+  console.log(`Sending handshake for room ${room.code} with:`);
+  console.log("- Map size:", `${room.gameState.map.width}x${room.gameState.map.height} tiles`);
+  console.log("- Enemies:", room.gameState.enemies.length);
+  console.log("- Collectibles:", room.gameState.collectibles.length);
   
-  // Log collision checks for debugging
-  console.log(`Checking horizontal collision: Previous X=${character.pos_x}, New X=${newX}, Distance=${movementDistance}`);
+  const handshakeJSON = JSON.stringify(handshakeData);
+  console.log(`Handshake JSON length: ${handshakeJSON.length} bytes`);
   
-  if (character.vel_x > 0) { // Moving right
-    // Always perform ray casting regardless of movement distance
-    console.log(`Ray casting for rightward movement from ${prevRightX} to ${newRightX}`);
-    
-    // Number of steps based on distance (at least 5 steps, more steps for larger distances)
-    const steps = Math.max(5, Math.ceil(movementDistance / 4) + 3);
-    
-    // Check along the path
-    for (let step = 0; step < steps; step++) {
-      // Interpolate between previous and new position
-      const t = step / (steps - 1);
-      const checkX = Math.floor(character.pos_x + t * (newX - character.pos_x));
-      const checkRight = Math.floor(checkX + character.width);
-      
-      // Check at multiple points vertically
-      for (let i = 0; i < checkPoints; i++) {
-        const checkY = Math.floor(top + (i * (bottom - top) / (checkPoints - 1)));
-        
-        // Make sure we're checking valid map coordinates
-        if (checkRight >= 0 && checkRight < MAP_WIDTH && checkY >= 0 && checkY < MAP_HEIGHT) {
-          if (gameState.map[checkY] && 
-              gameState.map[checkY][checkRight] && 
-              gameState.map[checkY][checkRight].solid) {
-            console.log(`Collision detected during ray casting at step ${step}, position (${checkRight}, ${checkY})`);
-            character.pos_x = checkRight - character.width;
-            return true;
-          }
-        }
-      }
-    }
-    
-    // Traditional endpoint check at the destination
-    // Right collision (right wall)
-    const right = Math.floor(newX + character.width);
-    
-    // First check the center point for efficiency
-    const centerY = Math.floor(top + (bottom - top) / 2);
-    if (right >= 0 && right < MAP_WIDTH && centerY >= 0 && centerY < MAP_HEIGHT) {
-      if (gameState.map[centerY] && gameState.map[centerY][right] && gameState.map[centerY][right].solid) {
-        character.pos_x = right - character.width;
-        return true;
-      }
-    }
-    
-    // Check multiple points along the right side of the character
-    for (let i = 0; i < checkPoints; i++) {
-      const checkY = Math.floor(top + (i * (bottom - top) / (checkPoints - 1)));
-      
-      // Skip the center point as we already checked it
-      if (checkY === centerY) continue;
-      
-      // Make sure we're checking valid map coordinates
-      if (right >= 0 && right < MAP_WIDTH && checkY >= 0 && checkY < MAP_HEIGHT) {
-        if (gameState.map[checkY] && gameState.map[checkY][right] && gameState.map[checkY][right].solid) {
-          character.pos_x = right - character.width;
-          return true;
-        }
-      }
+  // Send using callback to check for errors
+  client.ws.send(handshakeJSON, (err) => {
+    if (err) {
+      console.error("Error sending handshake:", err);
+    } else {
+      console.log("Handshake sent successfully");
     }
-  } else if (character.vel_x < 0) { // Moving left
-    // Always perform ray casting regardless of movement distance
-    console.log(`Ray casting for leftward movement from ${prevLeftX} to ${newLeftX}`);
-    
-    // Number of steps based on distance (at least 5 steps, more steps for larger distances)
-    const steps = Math.max(5, Math.ceil(movementDistance / 4) + 3);
-    
-    // Check along the path
-    for (let step = 0; step < steps; step++) {
-      // Interpolate between previous and new position
-      const t = step / (steps - 1);
-      const checkX = Math.floor(character.pos_x + t * (newX - character.pos_x));
-      
-      // Check at multiple points vertically
-      for (let i = 0; i < checkPoints; i++) {
-        const checkY = Math.floor(top + (i * (bottom - top) / (checkPoints - 1)));
-        
-        // Make sure we're checking valid map coordinates
-        if (checkX >= 0 && checkX < MAP_WIDTH && checkY >= 0 && checkY < MAP_HEIGHT) {
-          if (gameState.map[checkY] && 
-              gameState.map[checkY][checkX] && 
-              gameState.map[checkY][checkX].solid) {
-            console.log(`Collision detected during ray casting at step ${step}, position (${checkX}, ${checkY})`);
-            character.pos_x = checkX + 1;
-            return true;
-          }
-        }
-      }
+  });
+
+  if (client.protocol === Protocol.PROTOCOL_BINARY) {
+    sendToClient(client, { type: 'map', mapData: room.gameState.map });
+  }
+}
+
+// Set a player's display name, shown in the room and above their knight
+function setPlayerName(room, playerId, client, name) {
+  if (typeof name !== 'string') return;
+  name = name.trim().slice(0, MAX_NAME_LENGTH);
+  if (!name) return;
+
+  client.name = name;
+  if (room && room.members[playerId]) {
+    room.members[playerId].name = name;
+    sendRoomUpdate(room);
+  }
+}
+
+// Mark a waiting room member as ready or not ready to play
+function setPlayerReady(room, playerId, ready) {
+  if (!room || room.started || !room.members[playerId]) return;
+
+  room.members[playerId].ready = ready;
+  sendRoomUpdate(room);
+}
+
+// Start a waiting room's match once its host asks and everyone else is ready
+function startMatch(room, playerId) {
+  if (!room || room.started || !room.members[playerId]) return;
+
+  let reason = null;
+  if (room.host !== playerId) {
+    reason = 'only the host can start the match';
+  } else if (Object.keys(room.members).some(id => id !== room.host && !room.members[id].ready)) {
+    reason = 'not every player is ready';
+  }
+  if (reason) {
+    sendToClient(room.clients[playerId], { type: 'startRejected', reason });
+    return;
+  }
+
+  room.started = true;
+  loadLevel(room, room.levelIndex); // Start the level clock now
+  room.lastLoopTime = Date.now();
+  room.loopTimer = setInterval(() => runRoomLoop(room), 1000 / SIMULATION_RATE);
+  Object.keys(room.members).forEach(id => enterMatch(room, id));
+
+  console.log(`Room ${room.code} started its match`);
+  sendRoomUpdate(room);
+  broadcastRoomList();
+}
+
+// Summary of a room for the lobby's room list
+function roomSummary(room) {
+  return {
+    code: room.code,
+    players: Object.keys(room.members).length,
+    maxPlayers: room.maxPlayers,
+    levelName: room.gameState.level.metadata.name,
+    locked: !!room.password,
+    started: room.started
+  };
+}
+
+// The lobby's list of rooms
+function roomList() {
+  return {
+    type: 'roomList',
+    rooms: Object.values(rooms).map(roomSummary)
+  };
+}
+
+// Send the room list to every client in the lobby
+function broadcastRoomList() {
+  const message = roomList();
+  Object.values(lobbyClients).forEach(client => sendToClient(client, message));
+}
+
+// Send a room's members, host and ready states to everyone in it
+function sendRoomUpdate(room) {
+  broadcast(room, {
+    type: 'roomUpdate',
+    room: {
+      ...roomSummary(room),
+      host: room.host,
+      editing: room.editing,
+      members: Object.keys(room.members).map(id => ({ id, ...room.members[id] }))
     }
-    
-    // Traditional endpoint check at the destination
-    // Left collision (left wall)
-    const left = Math.floor(newX);
-    
-    // First check the center point for efficiency
-    const centerY = Math.floor(top + (bottom - top) / 2);
-    if (left >= 0 && left < MAP_WIDTH && centerY >= 0 && centerY < MAP_HEIGHT) {
-      if (gameState.map[centerY] && gameState.map[centerY][left] && gameState.map[centerY][left].solid) {
-        character.pos_x = left + 1;
-        return true;
+  });
+}
+
+// Create a room on a level, with its own game state. Rooms created from the
+// lobby wait for their host to start the match; the simulation loop only runs
+// once it has started.
+function createRoom(code, options) {
+  const room = {
+    code,
+    host: options.host, // Player who can start the match, passed on when they leave
+    maxPlayers: options.maxPlayers || DEFAULT_MAX_PLAYERS,
+    password: options.password || null,
+    started: options.started,
+    editing: !!options.editing, // Whether every player may edit the level, not just the host
+    members: {}, // Name and ready state of everyone in the room, per player
+    gameState: {
+      players: {},
+      enemies: [],
+      collectibles: [],
+      projectiles: [], // Bolts, daggers and boulders in flight
+      arena: null, // Boss arena closed off for a fight, if any
+      map: null,
+      level: null, // Metadata, player spawn and progress of the current level
+      exits: [],
+      checkpoints: [],
+      physics: {
+        ...Physics.DEFAULT_PHYSICS,
+        tileSize: TILE_SIZE
       }
+    },
+    heartbeats: {},
+    currentTick: 0, // Number of fixed simulation steps run so far
+    inputQueues: {}, // Client inputs waiting to be simulated, per player
+    clients: {}, // Socket, wire protocol and acknowledged snapshot tick, per player
+    snapshotHistory: {}, // Recent snapshots by tick, used as delta baselines
+    levelIndex: 0, // Index of the current level in levels
+    editHistories: {}, // Undo and redo stacks of level edits, per player
+    editRates: {}, // Start and number of edits of the current one-second window, per player
+    editSequence: 0, // Number of level edits applied, orders them for clients
+    nextEntityId: 0, // Last id given to an enemy, collectible or other entity
+    restartVotes: {}, // Players who voted to restart the current level
+    lastLoopTime: Date.now(),
+    simulationAccumulator: 0,
+    loopTimer: null,
+    levelTimer: null // Pending switch to the next level
+  };
+
+  loadLevel(room, options.level || 0);
+  if (room.started) {
+    room.loopTimer = setInterval(() => runRoomLoop(room), 1000 / SIMULATION_RATE);
+  }
+  rooms[code] = room;
+
+  console.log(`Room ${code} created, playing ${room.gameState.level.metadata.name}`);
+  return room;
+}
+
+// Stop a room's simulation and forget it, once its last player has left
+function closeRoom(room) {
+  clearInterval(room.loopTimer);
+  clearTimeout(room.levelTimer);
+  if (rooms[room.code] === room) {
+    delete rooms[room.code];
+  }
+
+  console.log(`Room ${room.code} closed`);
+}
+
+// Game Loop
+// Each room's simulation advances in fixed steps using an accumulator,
+// independent of how often its timer fires. Snapshots go out every
+// TICKS_PER_SNAPSHOT ticks.
+function runRoomLoop(room) {
+  const now = Date.now();
+  room.simulationAccumulator += (now - room.lastLoopTime) / 1000;
+  room.lastLoopTime = now;
+
+  let ticksRun = 0;
+  while (room.simulationAccumulator >= SIMULATION_STEP) {
+    if (ticksRun >= MAX_TICKS_PER_UPDATE) {
+      console.warn(`Simulation of room ${room.code} fell behind, dropping ${room.simulationAccumulator.toFixed(3)}s`);
+      room.simulationAccumulator = 0;
+      break;
     }
-    
-    // Check multiple points along the left side of the character
-    for (let i = 0; i < checkPoints; i++) {
-      const checkY = Math.floor(top + (i * (bottom - top) / (checkPoints - 1)));
-      
-      // Skip the center point as we already checked it
-      if (checkY === centerY) continue;
-      
-      // Make sure we're checking valid map coordinates
-      if (left >= 0 && left < MAP_WIDTH && checkY >= 0 && checkY < MAP_HEIGHT) {
-        if (gameState.map[checkY] && gameState.map[checkY][left] && gameState.map[checkY][left].solid) {
-          character.pos_x = left + 1;
-          return true;
-        }
-      }
+
+    simulateTick(room, SIMULATION_STEP);
+    room.simulationAccumulator -= SIMULATION_STEP;
+    room.currentTick++;
+    ticksRun++;
+
+    if (room.currentTick % TICKS_PER_SNAPSHOT === 0) {
+      sendSnapshot(room);
     }
   }
-  
-  return false;
 }
 
-// Check for vertical collisions
-function checkVerticalCollision(x, newY, character) {
-  // Get the previous and new feet positions
-  const prevFeetY = character.pos_y + character.height;
-  const newFeetY = newY + character.height;
-  
-  // Use more precise collision detection with floating point values
-  const left = Math.floor(x);
-  const right = Math.floor(x + character.width - 1);
-  
-  // Check multiple points along the character's width for better collision detection
-  const checkPoints = Math.max(5, right - left + 1); // At least 5 check points
-  
-  // For fast movement: check multiple points along the path of travel
-  const movingDown = character.vel_y > 0;
-  const movingUp = character.vel_y < 0;
-  
-  // Calculate the vertical movement distance in pixels
-  const movementDistance = Math.abs(newY - character.pos_y);
-  
-  // Log collision checks for debugging
-  console.log(`Checking vertical collision: Previous Y=${character.pos_y}, New Y=${newY}, Distance=${movementDistance}`);
-  
-  if (movingDown) { // Moving down
-    // Always perform ray casting regardless of movement distance
-    console.log(`Ray casting for downward movement from ${prevFeetY} to ${newFeetY}`);
-    
-    // Number of steps based on distance (at least 5 steps, more steps for larger distances)
-    // For every 4 pixels of movement, add an extra step (minimum 5)
-    const steps = Math.max(5, Math.ceil(movementDistance / 4) + 3);
-    
-    // Check along the path
-    for (let step = 0; step < steps; step++) {
-      // Interpolate between previous and new position
-      const t = step / (steps - 1);
-      const checkY = Math.floor(character.pos_y + t * (newY - character.pos_y));
-      const checkBottom = Math.floor(checkY + character.height);
-      
-      // Check at multiple points horizontally
-      for (let i = 0; i < checkPoints; i++) {
-        const checkX = Math.floor(left + (i * (right - left) / (checkPoints - 1)));
-        
-        // Make sure we're checking valid map coordinates
-        if (checkX >= 0 && checkX < MAP_WIDTH && checkBottom >= 0 && checkBottom < MAP_HEIGHT) {
-          if (gameState.map[checkBottom] && 
-              gameState.map[checkBottom][checkX] && 
-              gameState.map[checkBottom][checkX].solid) {
-            console.log(`Collision detected during ray casting at step ${step}, position (${checkX}, ${checkBottom})`);
-            character.pos_y = checkBottom - character.height;
-            return true;
-          }
-        }
-      }
+// Advance the game by one fixed step
+function simulateTick(room, dt) {
+  // Update players
+  Object.values(room.gameState.players).forEach(player => {
+    if (player.dead) {
+      updateDeadPlayer(room, player, dt);
+      return;
     }
-    
-    // Traditional collision check at the destination position if no collision was found during ray casting
-    // Bottom collision (floor)
-    const bottom = Math.floor(newY + character.height);
-    
-    // First check the center point for efficiency
-    const centerX = Math.floor(left + (right - left) / 2);
-    if (centerX >= 0 && centerX < MAP_WIDTH && bottom >= 0 && bottom < MAP_HEIGHT) {
-      if (gameState.map[bottom] && gameState.map[bottom][centerX] && gameState.map[bottom][centerX].solid) {
-        character.pos_y = bottom - character.height;
-        return true;
-      }
+
+    // Apply queued inputs, gravity and movement with collision detection
+    processPlayerInputs(room, player, dt);
+
+    if (player.invincibleTimer > 0) {
+      player.invincibleTimer = Math.max(0, player.invincibleTimer - dt);
     }
-    
-    // Check multiple points along the bottom of the character
-    for (let i = 0; i < checkPoints; i++) {
-      const checkX = Math.floor(left + (i * (right - left) / (checkPoints - 1)));
-      
-      // Skip the center point as we already checked it
-      if (checkX === centerX) continue;
-      
-      // Make sure we're checking valid map coordinates
-      if (checkX >= 0 && checkX < MAP_WIDTH && bottom >= 0 && bottom < MAP_HEIGHT) {
-        if (gameState.map[bottom] && gameState.map[bottom][checkX] && gameState.map[bottom][checkX].solid) {
-          character.pos_y = bottom - character.height;
-          return true;
-        }
-      }
+    if (player.attackCooldown > 0) {
+      player.attackCooldown = Math.max(0, player.attackCooldown - dt);
     }
-  } else if (movingUp) { // Moving up
-    // Always perform ray casting regardless of movement distance
-    console.log(`Ray casting for upward movement from ${character.pos_y} to ${newY}`);
-    
-    // Number of steps based on distance (at least 5 steps, more steps for larger distances)
-    const steps = Math.max(5, Math.ceil(movementDistance / 4) + 3);
-    
-    // Check along the path
-    for (let step = 0; step < steps; step++) {
-      // Interpolate between previous and new position
-      const t = step / (steps - 1);
-      const checkY = Math.floor(character.pos_y + t * (newY - character.pos_y));
-      
-      // Check at multiple points horizontally
-      for (let i = 0; i < checkPoints; i++) {
-        const checkX = Math.floor(left + (i * (right - left) / (checkPoints - 1)));
-        
-        // Make sure we're checking valid map coordinates
-        if (checkX >= 0 && checkX < MAP_WIDTH && checkY >= 0 && checkY < MAP_HEIGHT) {
-          if (gameState.map[checkY] && 
-              gameState.map[checkY][checkX] && 
-              gameState.map[checkY][checkX].solid) {
-            console.log(`Collision detected during ray casting at step ${step}, position (${checkX}, ${checkY})`);
-            character.pos_y = checkY + 1;
-            return true;
-          }
-        }
-      }
+    if (player.attackRequested) {
+      handleSwordAttack(room, player);
     }
-    
-    // Traditional collision check at the destination position if no collision was found during ray casting
-    // Top collision (ceiling)
-    const top = Math.floor(newY);
-    
-    // First check the center point for efficiency
-    const centerX = Math.floor(left + (right - left) / 2);
-    if (centerX >= 0 && centerX < MAP_WIDTH && top >= 0 && top < MAP_HEIGHT) {
-      if (gameState.map[top] && gameState.map[top][centerX] && gameState.map[top][centerX].solid) {
-        character.pos_y = top + 1;
-        return true;
-      }
+    if (player.throwCooldown > 0) {
+      player.throwCooldown = Math.max(0, player.throwCooldown - dt);
     }
-    
-    // Check multiple points along the top of the character
-    for (let i = 0; i < checkPoints; i++) {
-      const checkX = Math.floor(left + (i * (right - left) / (checkPoints - 1)));
-      
-      // Skip the center point as we already checked it
-      if (checkX === centerX) continue;
-      
-      // Make sure we're checking valid map coordinates
-      if (checkX >= 0 && checkX < MAP_WIDTH && top >= 0 && top < MAP_HEIGHT) {
-        if (gameState.map[top] && gameState.map[top][checkX] && gameState.map[top][checkX].solid) {
-          character.pos_y = top + 1;
-          return true;
-        }
+    if (player.throwRequested) {
+      handleThrow(room, player);
+    }
+
+    // Falling into a pit costs a life
+    if (Physics.inKillZone(room.gameState.map, player)) {
+      killPlayer(room, player);
+    }
+  });
+
+  // Update enemies
+  updateEnemies(room, dt);
+
+  // Move projectiles and resolve their hits
+  updateProjectiles(room, dt);
+
+  // Check for collisions
+  checkCollisions(room);
+
+  // Start or call off a boss fight
+  updateArena(room);
+}
+
+// Send game state to all clients, stamped with the tick it was taken at.
+// Each client gets a delta against the last snapshot it acknowledged, or a
+// keyframe when it has none or its last keyframe is too old.
+function sendSnapshot(room) {
+  if (Object.keys(room.gameState.players).length === 0) return;
+
+  const snapshot = Snapshots.captureSnapshot(room.gameState);
+  room.snapshotHistory[room.currentTick] = snapshot;
+
+  // Forget baselines too old for any client to still be acknowledging
+  const oldestTick = room.currentTick - SNAPSHOT_HISTORY_SIZE * TICKS_PER_SNAPSHOT;
+  Object.keys(room.snapshotHistory).forEach(tick => {
+    if (tick < oldestTick) {
+      delete room.snapshotHistory[tick];
+    }
+  });
+
+  Object.values(room.clients).forEach(client => {
+    const base = room.snapshotHistory[client.ackTick];
+    const keyframe = !base || room.currentTick - client.lastKeyframeTick >= KEYFRAME_INTERVAL;
+
+    if (keyframe) {
+      client.lastKeyframeTick = room.currentTick;
+    }
+
+    sendToClient(client, {
+      type: 'gameState',
+      tick: room.currentTick,
+      baseTick: keyframe ? -1 : client.ackTick,
+      ...Snapshots.diffSnapshot(keyframe ? null : base, snapshot),
+      serverTime: Date.now()
+    });
+  });
+}
+
+// Record the newest snapshot a client has confirmed receiving
+function acknowledgeSnapshot(room, playerId, tick) {
+  const client = room.clients[playerId];
+  if (!client || !Number.isInteger(tick)) return;
+
+  if (tick > client.ackTick && room.snapshotHistory[tick]) {
+    client.ackTick = tick;
+  }
+}
+
+// Remove a player from a room and everything tracked for them. The host's
+// role passes to the longest-staying player, and a room left empty is closed.
+function removePlayer(room, playerId) {
+  delete room.gameState.players[playerId];
+  delete room.heartbeats[playerId];
+  delete room.inputQueues[playerId];
+  delete room.clients[playerId];
+  delete room.editHistories[playerId];
+  delete room.editRates[playerId];
+  delete room.restartVotes[playerId];
+  delete room.members[playerId];
+  broadcast(room, { 
+    type: 'playerDisconnected', 
+    playerId 
+  });
+
+  const remaining = Object.keys(room.members);
+  if (remaining.length === 0) {
+    closeRoom(room);
+  } else {
+    if (room.host === playerId) {
+      room.host = remaining[0];
+    }
+    sendRoomUpdate(room);
+    // One voter fewer may be enough for a pending restart vote
+    checkRestartVote(room);
+  }
+  broadcastRoomList();
+}
+
+// Heartbeat monitoring
+setInterval(() => {
+  const now = Date.now();
+  Object.values(rooms).forEach(room => {
+    Object.keys(room.heartbeats).forEach(id => {
+      if (now - room.heartbeats[id] > INACTIVITY_TIMEOUT) {
+        removePlayer(room, id);
       }
+    });
+  });
+}, HEARTBEAT_INTERVAL);
+
+// Validate a client input and add it to the player's queue
+function queuePlayerInput(room, playerId, data) {
+  const queue = room.inputQueues[playerId];
+  const player = room.gameState.players[playerId];
+  if (!queue || !player) return;
+
+  // Ignore malformed, duplicate or out-of-order inputs
+  if (!Number.isInteger(data.sequence) || !Number.isFinite(data.dt) || !data.keys) return;
+  const lastSequence = queue.length > 0 ? queue[queue.length - 1].sequence : player.lastProcessedInput;
+  if (data.sequence <= lastSequence) return;
+
+  queue.push({
+    sequence: data.sequence,
+    dt: Math.min(Math.max(data.dt, 0), MAX_INPUT_DT),
+    keys: {
+      left: !!data.keys.left,
+      right: !!data.keys.right,
+      jump: !!data.keys.jump
     }
+  });
+
+  if (queue.length > MAX_QUEUED_INPUTS) {
+    queue.shift();
   }
-  
-  return false;
 }
 
-function updateEnemies(dt) {
-  gameState.enemies.forEach(enemy => {
+// Simulate queued inputs in order, exactly as the client predicted them, as
+// far as the server clock allows. Each tick adds dt to the player's budget of
+// simulated time and each input spends its own dt, so a client can't move
+// faster than real time by sending more or longer inputs; those wait for
+// later ticks. A player whose inputs stop arriving keeps falling, being
+// knocked back and so on: time beyond MAX_INPUT_BUDGET is simulated with
+// every key released, so a suspended or editing player doesn't run on.
+function processPlayerInputs(room, player, dt) {
+  const queue = room.inputQueues[player.id];
+  if (!queue) return;
+
+  const gameState = room.gameState;
+  player.inputBudget += dt;
+
+  while (queue.length > 0 && queue[0].dt <= player.inputBudget) {
+    const input = queue.shift();
+    Physics.stepPlayer(player, input.keys, gameState.map, gameState.physics, input.dt);
+    player.inputBudget -= input.dt;
+    player.lastProcessedInput = input.sequence;
+  }
+
+  if (queue.length === 0 && player.inputBudget > MAX_INPUT_BUDGET) {
+    Physics.stepPlayer(player, { left: false, right: false, jump: false }, gameState.map, gameState.physics, player.inputBudget - MAX_INPUT_BUDGET);
+    player.inputBudget = MAX_INPUT_BUDGET;
+  }
+}
+
+// Run every enemy's behavior and respawn defeated enemies
+function updateEnemies(room, dt) {
+  // Enemies react to the players still alive
+  const world = {
+    map: room.gameState.map,
+    physics: room.gameState.physics,
+    players: Object.values(room.gameState.players).filter(player => !player.dead),
+    pursuers: EnemyAI.countPursuers(room.gameState.enemies)
+  };
+
+  room.gameState.enemies.forEach(enemy => {
     if (enemy.defeated) {
+      // Bosses stay down for the rest of the level
+      if (EnemyAI.isBoss(enemy)) return;
+
       // Handle respawning
       enemy.respawnTimer -= dt;
       if (enemy.respawnTimer <= 0) {
         enemy.defeated = false;
-        enemy.x = enemy.originalX;
-        enemy.y = enemy.originalY;
-        enemy.vel_x = 50; // Reset velocity
+        EnemyAI.resetEnemy(enemy);
       }
       return;
     }
 
-    // Move enemy
-    if (enemy.facingRight) {
-      enemy.x += enemy.vel_x * dt;
-      if (enemy.x >= enemy.rightBound) {
-        enemy.facingRight = false;
-      }
-    } else {
-      enemy.x -= enemy.vel_x * dt;
-      if (enemy.x <= enemy.leftBound) {
-        enemy.facingRight = true;
-      }
+    const events = EnemyAI.updateEnemy(enemy, world, dt);
+    if (events.fired) {
+      const muzzleX = enemy.facingRight ? enemy.x + enemy.width : enemy.x;
+      fireProjectile(room, ENEMY_PROJECTILES[enemy.type], muzzleX, enemy.y + enemy.height / 2, enemy.facingRight, { kind: 'enemy', id: enemy.id });
+    }
+  });
+}
+
+// Launch a projectile of a type centered on (x, y), heading right or left.
+// owner ({ kind: 'enemy' or 'player', id }) is who fired it; projectiles only
+// hit the other side.
+function fireProjectile(room, type, x, y, facingRight, owner) {
+  const projectileType = PROJECTILE_TYPES[type];
+  return spawnEntity(room, 'projectiles', {
+    type: type,
+    x: x - projectileType.width / 2,
+    y: y - projectileType.height / 2,
+    width: projectileType.width,
+    height: projectileType.height,
+    vel_x: facingRight ? projectileType.speed : -projectileType.speed,
+    vel_y: projectileType.lift,
+    gravity: projectileType.gravity,
+    lifetime: projectileType.lifetime,
+    damage: projectileType.damage,
+    owner: owner
+  });
+}
+
+// Move every projectile and remove those that hit a solid tile, left the
+// map, ran out of lifetime or hit someone
+function updateProjectiles(room, dt) {
+  const gameState = room.gameState;
+
+  // Copied since projectiles are removed while iterating
+  gameState.projectiles.slice().forEach(projectile => {
+    projectile.lifetime -= dt;
+    if (projectile.gravity) {
+      projectile.vel_y += gameState.physics.gravity * dt;
     }
 
-    // Update animation
-    enemy.animationTimer += dt;
-    if (enemy.animationTimer >= 0.2) {
-      enemy.animationTimer = 0;
-      enemy.animationFrame = (enemy.animationFrame + 1) % 2;
+    if (projectile.lifetime <= 0 || !moveProjectile(gameState.map, projectile, dt) || projectileHit(room, projectile)) {
+      despawnEntity(room, 'projectiles', projectile.id);
     }
   });
 }
 
+// Move a projectile by its velocity in small steps, checking the map under
+// its center after each. Returns false when it hit a solid tile or left the map.
+function moveProjectile(map, projectile, dt) {
+  const dx = projectile.vel_x * dt;
+  const dy = projectile.vel_y * dt;
+  const steps = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) / PROJECTILE_STEP));
+
+  for (let i = 0; i < steps; i++) {
+    projectile.x += dx / steps;
+    projectile.y += dy / steps;
+    if (Physics.isSolid(map, projectile.x + projectile.width / 2, projectile.y + projectile.height / 2)) {
+      return false;
+    }
+  }
+
+  return projectile.x + projectile.width > 0 && projectile.x < Tilemap.pixelWidth(map) &&
+    projectile.y < Tilemap.pixelHeight(map);
+}
+
+// Apply a projectile to the first player or enemy on the other side from its
+// owner that it touches. Returns whether it hit anyone.
+function projectileHit(room, projectile) {
+  const touches = (x, y, width, height) => Physics.checkRectCollision(
+    projectile.x, projectile.y, projectile.width, projectile.height,
+    x, y, width, height
+  );
+
+  if (projectile.owner.kind === 'enemy') {
+    const player = Object.values(room.gameState.players).find(player =>
+      !player.dead && touches(player.pos_x, player.pos_y, player.width, player.height)
+    );
+    if (!player) return false;
+    playerHit(room, player.id, projectile.damage, projectile);
+    return true;
+  }
+
+  const enemy = room.gameState.enemies.find(enemy =>
+    !enemy.defeated && touches(enemy.x, enemy.y, enemy.width, enemy.height)
+  );
+  if (!enemy) return false;
+  damageEnemy(room, enemy, projectile.damage, projectile.owner.id);
+  return true;
+}
+
 
 // Check collision between character and enemy using pixel-perfect collision
 function checkCharacterEnemyCollision(character, enemy) {
@@ -610,7 +1007,7 @@ function checkCharacterEnemyCollision(character, enemy) {
     };
     
     // Check if bounding boxes overlap
-    const boxesOverlap = checkRectCollision(
+    const boxesOverlap = Physics.checkRectCollision(
         characterBox.x, characterBox.y, characterBox.width, characterBox.height,
         enemyBox.x, enemyBox.y, enemyBox.width, enemyBox.height
     );
@@ -680,10 +1077,30 @@ function checkCharacterEnemyCollision(character, enemy) {
     return false; // No collision
 }
 
-function checkCollisions() {
-  // Check player-enemy collisions
-  Object.values(gameState.players).forEach(player => {
-    gameState.enemies.forEach(enemy => {
+function checkCollisions(room) {
+  Object.values(room.gameState.players).forEach(player => {
+    if (player.dead) return;
+
+    // Check if the player reached a level exit. Exits stay closed while a boss is standing.
+    if (!room.gameState.level.completed && !EnemyAI.bossAlive(room.gameState.enemies) && room.gameState.exits.some(exit => Physics.checkRectCollision(
+      player.pos_x, player.pos_y, player.width, player.height,
+      exit.x, exit.y, exit.width, exit.height
+    ))) {
+      completeLevel(room, player.id);
+    }
+
+    // Check if the player touched a checkpoint
+    room.gameState.checkpoints.forEach(checkpoint => {
+      if (Physics.checkRectCollision(
+        player.pos_x, player.pos_y, player.width, player.height,
+        checkpoint.x, checkpoint.y, checkpoint.width, checkpoint.height
+      )) {
+        activateCheckpoint(room, player, checkpoint);
+      }
+    });
+
+    // Check player-enemy collisions
+    room.gameState.enemies.forEach(enemy => {
       if (!enemy.defeated) {
         // Check if player is landing on top of enemy
         const playerBottom = player.pos_y + player.height;
@@ -697,53 +1114,208 @@ function checkCollisions() {
             player.pos_x + player.width - 4 > enemy.x) {
           
           // Player is landing on top of enemy
-          player.vel_y = gameState.physics.jumpSpeed * 0.7; // Bounce
-          enemy.defeated = true; // Defeat the enemy
-          enemy.respawnTimer = 5; // Respawn after 5 seconds
+          player.vel_y = room.gameState.physics.jumpSpeed * 0.7; // Bounce
+          damageEnemy(room, enemy, 1, player.id);
         } 
         // Check for other collisions using bounding box
         else if (checkCharacterEnemyCollision(player, enemy)) {
           // Player hit by enemy
-          playerHit(player.id, 1);
+          playerHit(room, player.id, 1, enemy);
         }
       }
     });
 
     // Check player-collectible collisions
-    gameState.collectibles.forEach(collectible => {
-      if (!collectible.collected && checkRectCollision(
+    room.gameState.collectibles.forEach(collectible => {
+      if (!collectible.collected && Physics.checkRectCollision(
         player.pos_x, player.pos_y, player.width, player.height,
         collectible.x, collectible.y, collectible.width, collectible.height
       )) {
-        collectible.collected = true;
+        collectCoin(player, collectible);
       }
     });
   });
 }
 
-function playerHit(id, damage) {
-  let player = gameState.players[id];
+// Give a coin to the player who picked it up
+function collectCoin(player, collectible) {
+  collectible.collected = true;
+  player.score += COIN_SCORE;
+}
 
-  if(player) {
-    // Reset character position
-    gameState.players[id].pos_x = 50;
-    gameState.players[id].pos_y = 200;
-    gameState.players[id].vel_x = 0;
-    gameState.players[id].vel_y = 0;
+// Handle a coin pickup reported by a client. Its prediction can run slightly
+// ahead of the server, so the pickup is accepted when the server's copy of the
+// player is within COIN_PICKUP_RANGE of the coin.
+function handleCollectCoin(room, player, coinId) {
+  const collectible = findEntity(room, 'collectibles', coinId);
+  if (!collectible || collectible.collected) return;
 
-    broadcast({
-      type: 'playerHit',
-      damage: damage,
-      id: id
-    });
+  if (Physics.checkRectCollision(
+    player.pos_x - COIN_PICKUP_RANGE, player.pos_y - COIN_PICKUP_RANGE,
+    player.width + COIN_PICKUP_RANGE * 2, player.height + COIN_PICKUP_RANGE * 2,
+    collectible.x, collectible.y, collectible.width, collectible.height
+  )) {
+    collectCoin(player, collectible);
+  }
+}
+
+// Damage a player hit by source (an enemy) and knock them away from it.
+// After a hit the player can't be hurt again for a moment.
+function playerHit(room, id, damage, source) {
+  const player = room.gameState.players[id];
+  if (!player || player.dead || player.invincibleTimer > 0) return;
+
+  const physics = room.gameState.physics;
+  player.health = Math.max(0, player.health - damage);
+
+  broadcast(room, {
+    type: 'playerHit',
+    damage: damage,
+    id: id,
+    health: player.health
+  });
+
+  if (player.health === 0) {
+    killPlayer(room, player);
+    return;
+  }
+
+  player.invincibleTimer = physics.invincibilityTime;
+  if (source) {
+    Physics.knockBack(player, source.x + source.width / 2, physics);
+  }
+}
+
+// Take a life from a player and keep them down until they respawn. A player
+// without lives left stays down.
+function killPlayer(room, player) {
+  player.dead = true;
+  player.health = 0;
+  player.lives = Math.max(0, player.lives - 1);
+  player.vel_x = 0;
+  player.vel_y = 0;
+  player.knockbackTimer = 0;
+  player.invincibleTimer = 0;
+  player.respawnTimer = RESPAWN_DELAY;
+
+  broadcast(room, {
+    type: 'playerDied',
+    id: player.id,
+    lives: player.lives
+  });
+}
+
+// Count down to a dead player's respawn. Their inputs are dropped meanwhile
+// but still acknowledged, so the client has nothing left to replay.
+function updateDeadPlayer(room, player, dt) {
+  const queue = room.inputQueues[player.id];
+  if (queue && queue.length > 0) {
+    player.lastProcessedInput = queue[queue.length - 1].sequence;
+    queue.length = 0;
+  }
+  player.inputBudget = 0;
+  player.attackRequested = false;
+  player.throwRequested = false;
+
+  if (player.lives === 0) return;
+
+  player.respawnTimer -= dt;
+  if (player.respawnTimer <= 0) {
+    respawnPlayer(room, player);
+  }
+}
+
+// The checkpoint a player respawns at, or null before any was touched
+function currentCheckpoint(room, playerId) {
+  if (SHARED_CHECKPOINTS) return room.gameState.level.checkpoint;
+  const player = room.gameState.players[playerId];
+  return player ? player.checkpoint : null;
+}
+
+// Make a checkpoint where a player (or with shared checkpoints, everyone)
+// respawns, telling the clients it applies to
+function activateCheckpoint(room, player, checkpoint) {
+  if (currentCheckpoint(room, player.id) === checkpoint) return;
+
+  const message = {
+    type: 'checkpointActivated',
+    playerId: player.id,
+    x: checkpoint.x,
+    y: checkpoint.y
+  };
+
+  if (SHARED_CHECKPOINTS) {
+    room.gameState.level.checkpoint = checkpoint;
+    broadcast(room, message);
+  } else {
+    player.checkpoint = checkpoint;
+    sendToClient(room.clients[player.id], message);
   }
 }
 
-function checkRectCollision(x1, y1, w1, h1, x2, y2, w2, h2) {
-  return x1 < x2 + w2 && x1 + w1 > x2 && y1 < y2 + h2 && y1 + h1 > y2;
+// Where a player comes back after dying: in the boss arena they died in,
+// standing at their checkpoint, or at the level's spawn point
+function respawnPoint(room, player) {
+  // Players who die fighting a boss come back in its arena
+  const arena = room.gameState.arena;
+  if (arena && EnemyAI.insideArena(arena, player)) return arena.spawn;
+
+  const checkpoint = currentCheckpoint(room, player.id);
+  if (!checkpoint) return room.gameState.level.playerSpawn;
+
+  return {
+    x: checkpoint.x + (checkpoint.width - player.width) / 2,
+    y: checkpoint.y + checkpoint.height - player.height
+  };
+}
+
+// Bring a dead player back at their respawn point with full health
+function respawnPlayer(room, player) {
+  const physics = room.gameState.physics;
+  const point = respawnPoint(room, player);
+  player.dead = false;
+  player.health = physics.maxHealth;
+  player.invincibleTimer = physics.invincibilityTime;
+  player.pos_x = point.x;
+  player.pos_y = point.y;
+  player.vel_x = 0;
+  player.vel_y = 0;
+  player.onGround = false;
+
+  broadcast(room, {
+    type: 'playerRespawned',
+    id: player.id
+  });
+}
+
+// Pick the wire protocol offered by the client, preferring binary
+function selectProtocol(protocols) {
+  if (protocols.has(Protocol.PROTOCOL_BINARY)) return Protocol.PROTOCOL_BINARY;
+  if (protocols.has(Protocol.PROTOCOL_JSON)) return Protocol.PROTOCOL_JSON;
+  return false;
+}
+
+// Send a message to a single client, binary-encoded when its protocol supports it
+function sendToClient(client, data) {
+  try {
+    if (client.ws.readyState === WebSocket.OPEN) {
+      const message = client.protocol === Protocol.PROTOCOL_BINARY && Protocol.isBinaryType(data.type) ?
+        Protocol.encodeMessage(data) :
+        JSON.stringify(data);
+
+      client.ws.send(message, (err) => {
+        if (err) {
+          console.error("Error sending message:", err);
+        }
+      });
+    }
+  } catch (error) {
+    console.error("Error sending message to client:", error);
+  }
 }
 
-function broadcast(data) {
+// Send a JSON message to every client in a room
+function broadcast(room, data) {
   try {
     // Make sure data is a valid object before stringifying
     if (!data || typeof data !== 'object') {
@@ -752,13 +1324,13 @@ function broadcast(data) {
     }
     
     const message = JSON.stringify(data);
-    console.log(`Broadcasting message type: ${data.type} (${message.length} bytes)`);
+    console.log(`Broadcasting message type: ${data.type} to room ${room.code} (${message.length} bytes)`);
     
     let sentCount = 0;
-    server.clients.forEach(client => {
+    Object.values(room.clients).forEach(({ ws }) => {
       try {
-        if (client.readyState === WebSocket.OPEN) {
-          client.send(message, (err) => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(message, (err) => {
             if (err) {
               console.error("Error sending message:", err);
             } else {
@@ -777,85 +1349,371 @@ function broadcast(data) {
   }
 }
 
-// Initialize the game state
-function initializeGameState() {
-  console.log("Initializing game state on server");
-  createMap();
-  createCollectibles();
-  createEnemies();
-  console.log("Game state initialized:");
-  console.log("- Map size:", gameState.map.length);
-  console.log("- Collectibles:", gameState.collectibles.length);
-  console.log("- Enemies:", gameState.enemies.length);
+// Load every level up front so a broken file is reported at startup
+function initializeLevels() {
+  console.log("Loading levels on server");
+
+  try {
+    levels = LEVEL_FILE ? [Levels.loadLevel(LEVEL_FILE)] : Levels.loadLevelSequence(LEVEL_SEQUENCE_FILE);
+  } catch (error) {
+    if (!(error instanceof Levels.LevelFormatError)) throw error;
+    console.error("Invalid level file:", error.message);
+    process.exit(1);
+  }
+
+  console.log("- Levels:", levels.map(level => level.metadata.name).join(', '));
+}
+
+// Replace a room's map, enemies, collectibles and exits with those of a level
+function loadLevel(room, index) {
+  const level = levels[index];
+  room.levelIndex = index;
+
+  // Copy the map so a replayed level starts from its original tiles
+  room.gameState.map = { ...level.map, tiles: level.map.tiles.slice() };
+  room.gameState.level = {
+    metadata: level.metadata,
+    playerSpawn: { ...level.playerSpawn }, // Copied since edits move it
+    checkpoint: null, // Last checkpoint anyone touched, when checkpoints are shared
+    startTime: Date.now(),
+    completed: false
+  };
+  room.gameState.exits = level.exits.map(exit => ({ ...exit }));
+  room.gameState.checkpoints = level.checkpoints.map(checkpoint => ({ ...checkpoint }));
+
+  room.gameState.collectibles = [];
+  level.collectibles.forEach(collectible => {
+    addCollectible(room, collectible.x, collectible.y, collectible.type);
+  });
+
+  room.gameState.projectiles = [];
+  room.gameState.arena = null;
+
+  room.gameState.enemies = [];
+  level.enemies.forEach(enemy => {
+    addEnemy(room, enemy.x, enemy.y, enemy.type, enemy.leftBound, enemy.rightBound, enemy.behavior);
+  });
+}
+
+// The current level in the shape edit operations work on
+function editableLevel(room) {
+  return {
+    map: room.gameState.map,
+    enemies: room.gameState.enemies,
+    collectibles: room.gameState.collectibles,
+    exits: room.gameState.exits,
+    checkpoints: room.gameState.checkpoints,
+    playerSpawn: room.gameState.level.playerSpawn
+  };
 }
 
-// Create the game map
-function createMap() {
-  // Initialize map as a 2D array
-  gameState.map = [];
-  for (let y = 0; y < MAP_HEIGHT; y++) {
-    gameState.map[y] = [];
-    for (let x = 0; x < MAP_WIDTH; x++) {
-      gameState.map[y][x] = { type: 'empty', solid: false, color: '#000' };
+// Entity constructors used when edit operations add entities. The entity an
+// operation creates is stored in created so its id can be sent with the edit.
+function editFactories(room, created) {
+  return {
+    enemy: spawn => {
+      created.entity = assignEntityId(room, createEnemy(spawn.x, spawn.y, spawn.type, spawn.leftBound, spawn.rightBound, spawn.behavior));
+      return created.entity;
+    },
+    collectible: spawn => {
+      created.entity = assignEntityId(room, createCollectible(spawn.x, spawn.y, spawn.type));
+      return created.entity;
     }
+  };
+}
+
+// Stop the room and its players from respawning at checkpoints that were
+// removed from the level. They respawn at the level's spawn point instead.
+function forgetRemovedCheckpoints(room) {
+  const removed = checkpoint => checkpoint && !room.gameState.checkpoints.includes(checkpoint);
+  if (removed(room.gameState.level.checkpoint)) {
+    room.gameState.level.checkpoint = null;
   }
-  
-  // Create ground
-  for (let x = 0; x < MAP_WIDTH; x++) {
-    gameState.map[MAP_HEIGHT - 1][x] = { type: 'ground', solid: true, color: '#8B4513' };
-    gameState.map[MAP_HEIGHT - 2][x] = { type: 'grass', solid: true, color: '#228B22' };
+  Object.values(room.gameState.players).forEach(player => {
+    if (removed(player.checkpoint)) {
+      player.checkpoint = null;
+    }
+  });
+}
+
+// Validate and apply an edit operation, then broadcast it so every client
+// applies edits in the same order. Returns the operation that undoes it, or
+// null when the edit was rejected.
+function applyEdit(room, playerId, op, opId) {
+  const error = EditOps.validateOp(editableLevel(room), op);
+  if (error) {
+    sendToClient(room.clients[playerId], { type: 'editRejected', opId, reason: error });
+    return null;
   }
-  
-  // Create platforms
-  createPlatform(100, 180, 150);
-  createPlatform(300, 150, 100);
-  createPlatform(450, 120, 80);
-  createPlatform(600, 150, 120);
-  
-  // Create a hole in the ground
-  for (let x = 300; x <= 350; x++) {
-    gameState.map[MAP_HEIGHT - 1][x] = { type: 'empty', solid: false, color: '#000' };
-    gameState.map[MAP_HEIGHT - 2][x] = { type: 'empty', solid: false, color: '#000' };
+
+  const created = {};
+  const inverse = EditOps.applyOp(editableLevel(room), op, editFactories(room, created));
+  if (op.kind === 'removeCheckpoint') {
+    forgetRemovedCheckpoints(room);
   }
-  
-  // Create another hole
-  for (let x = 500; x <= 530; x++) {
-    gameState.map[MAP_HEIGHT - 1][x] = { type: 'empty', solid: false, color: '#000' };
-    gameState.map[MAP_HEIGHT - 2][x] = { type: 'empty', solid: false, color: '#000' };
+  broadcast(room, {
+    type: 'editOp',
+    seq: ++room.editSequence,
+    playerId,
+    opId,
+    op,
+    entityId: created.entity ? created.entity.id : undefined // So clients give the new entity the same id
+  });
+  return inverse;
+}
+
+// Check whether a player may edit the level now. Only the host edits unless
+// the room was created with editing for everyone, and each player's edits are
+// rate limited. Returns why the edit is refused, or null.
+function editError(room, playerId) {
+  if (!room.editing && room.host !== playerId) {
+    return 'only the host can edit this level';
+  }
+
+  const now = Date.now();
+  let rate = room.editRates[playerId];
+  if (!rate || now - rate.since >= 1000) {
+    rate = room.editRates[playerId] = { since: now, edits: 0 };
   }
+  rate.edits++;
+  return rate.edits > MAX_EDITS_PER_SECOND ? 'too many edits, slow down' : null;
 }
 
-// Create a platform at the specified position
-function createPlatform(x, y, width) {
-  for (let i = 0; i < width; i++) {
-    gameState.map[y][x + i] = { type: 'platform', solid: true, color: '#8B4513' };
+// Handle a level edit from a player's editor
+function handleEditOp(room, playerId, data) {
+  const error = editError(room, playerId);
+  if (error) {
+    sendToClient(room.clients[playerId], { type: 'editRejected', opId: data.opId, reason: error });
+    return;
+  }
+
+  const inverse = applyEdit(room, playerId, data.op, data.opId);
+  if (!inverse) return;
+
+  if (!room.editHistories[playerId]) {
+    room.editHistories[playerId] = { undo: [], redo: [] };
+  }
+  const history = room.editHistories[playerId];
+  history.undo.push(inverse);
+  if (history.undo.length > MAX_EDIT_HISTORY) {
+    history.undo.shift();
   }
+  history.redo = [];
 }
 
-// Create collectible items
-function createCollectibles() {
-  gameState.collectibles = [];
-  
-  // Add coins at various positions
-  addCollectible(150, 160, 'coin');
-  addCollectible(170, 160, 'coin');
-  addCollectible(190, 160, 'coin');
-  
-  addCollectible(320, 130, 'coin');
-  addCollectible(340, 130, 'coin');
-  addCollectible(360, 130, 'coin');
-  
-  addCollectible(470, 100, 'coin');
-  addCollectible(480, 100, 'coin');
-  addCollectible(490, 100, 'coin');
-  
-  addCollectible(650, 130, 'coin');
-  addCollectible(670, 130, 'coin');
+// Undo or redo a player's most recent edit. Each player only undoes their own edits.
+function handleEditHistory(room, playerId, undo) {
+  const history = room.editHistories[playerId];
+  if (!history) return;
+
+  const error = editError(room, playerId);
+  if (error) {
+    sendToClient(room.clients[playerId], { type: 'editRejected', opId: null, reason: error });
+    return;
+  }
+
+  const from = undo ? history.undo : history.redo;
+  const to = undo ? history.redo : history.undo;
+  const op = from.pop();
+  if (!op) return;
+
+  // Fails when someone else has since changed what the edit touched
+  const inverse = applyEdit(room, playerId, op, null);
+  if (inverse) {
+    to.push(inverse);
+  }
+}
+
+// Level data sent in the handshake and when a level starts. Binary clients
+// get the map separately as a binary message.
+function levelData(room, client) {
+  return {
+    mapData: client.protocol === Protocol.PROTOCOL_JSON ? room.gameState.map : undefined,
+    enemiesData: room.gameState.enemies,
+    collectiblesData: room.gameState.collectibles,
+    projectilesData: room.gameState.projectiles,
+    exitsData: room.gameState.exits,
+    checkpointsData: room.gameState.checkpoints,
+    arena: arenaData(room.gameState.arena),
+    playerSpawn: room.gameState.level.playerSpawn,
+    level: {
+      index: room.levelIndex,
+      count: levels.length,
+      name: room.gameState.level.metadata.name
+    }
+  };
+}
+
+// A player reached an exit: show everyone the level results, then move
+// everyone to the next level together
+function completeLevel(room, playerId) {
+  room.gameState.level.completed = true;
+
+  const finalLevel = room.levelIndex === levels.length - 1;
+  const nextIndex = finalLevel ? 0 : room.levelIndex + 1;
+
+  console.log(`Level ${room.gameState.level.metadata.name} completed by ${playerId}`);
+  broadcast(room, {
+    type: 'levelComplete',
+    playerId,
+    levelName: room.gameState.level.metadata.name,
+    time: (Date.now() - room.gameState.level.startTime) / 1000,
+    coins: room.gameState.collectibles.filter(collectible => collectible.collected).length,
+    totalCoins: room.gameState.collectibles.length,
+    finalLevel,
+    nextLevelName: levels[nextIndex].metadata.name,
+    delay: LEVEL_TRANSITION_DELAY
+  });
+
+  room.levelTimer = setTimeout(() => startLevel(room, nextIndex), LEVEL_TRANSITION_DELAY);
+}
+
+// Switch a room to a level and resend the level data to its clients, like the handshake
+function startLevel(room, index) {
+  loadLevel(room, index);
+
+  Object.values(room.gameState.players).forEach(player => {
+    // Everyone starts a level alive, players who ran out of lives with a fresh set
+    if (player.dead) {
+      if (player.lives === 0) {
+        player.lives = STARTING_LIVES;
+      }
+      respawnPlayer(room, player);
+    }
+    player.pos_x = room.gameState.level.playerSpawn.x;
+    player.pos_y = room.gameState.level.playerSpawn.y;
+    player.vel_x = 0;
+    player.vel_y = 0;
+    player.onGround = false;
+    player.checkpoint = null;
+    player.levelStartScore = player.score;
+  });
+
+  // A restart vote only applies to the level it was started in
+  room.restartVotes = {};
+
+  // Old snapshots describe the previous level's entities, so every client
+  // starts over from a keyframe
+  room.snapshotHistory = {};
+
+  // Edits of the previous level can no longer be undone
+  room.editHistories = {};
+
+  Object.keys(room.clients).forEach(id => {
+    const client = room.clients[id];
+    client.ackTick = -1;
+    client.lastKeyframeTick = -Infinity;
+
+    sendToClient(client, {
+      type: 'levelStart',
+      ...levelData(room, client),
+      tick: room.currentTick
+    });
+    if (client.protocol === Protocol.PROTOCOL_BINARY) {
+      sendToClient(client, { type: 'map', mapData: room.gameState.map });
+    }
+  });
+
+  console.log(`Level ${room.gameState.level.metadata.name} started`);
+}
+
+// Handle a player pressing restart. A player who is out of lives joins back in
+// on their own while others are still playing; once nobody is left the level
+// restarts. Anyone else votes to restart the level for the whole room, but
+// only once they confirmed it, so a stray key press doesn't restart a level.
+function handleRestartRequest(room, playerId, confirmed) {
+  const player = room.gameState.players[playerId];
+  if (room.gameState.level.completed) return;
+
+  if (player.dead && player.lives === 0) {
+    const gameOver = Object.values(room.gameState.players).every(other => other.dead && other.lives === 0);
+    if (gameOver) {
+      restartLevel(room);
+      return;
+    }
+    player.lives = STARTING_LIVES;
+    player.score = player.levelStartScore;
+    respawnPlayer(room, player);
+    console.log(`Player ${playerId} restarted after game over`);
+    return;
+  }
+
+  if (!confirmed || room.restartVotes[playerId]) return;
+  room.restartVotes[playerId] = true;
+  checkRestartVote(room);
+}
+
+// Restart the level once more than half of the room's players voted for it,
+// otherwise tell everyone how the vote stands
+function checkRestartVote(room) {
+  const votes = Object.keys(room.restartVotes).length;
+  if (votes === 0) return;
+
+  const needed = Math.floor(Object.keys(room.gameState.players).length / 2) + 1;
+  if (votes >= needed) {
+    restartLevel(room);
+    return;
+  }
+
+  broadcast(room, {
+    type: 'restartVote',
+    votes,
+    needed
+  });
+}
+
+// Start the current level over: the level is reloaded and every player is
+// back at the spawn point with full health and lives and the score they had
+// when the level started
+function restartLevel(room) {
+  console.log(`Room ${room.code} restarting level ${room.gameState.level.metadata.name}`);
+  Object.values(room.gameState.players).forEach(player => {
+    player.score = player.levelStartScore;
+    player.lives = STARTING_LIVES;
+    player.health = room.gameState.physics.maxHealth;
+    player.invincibleTimer = 0;
+    player.knockbackTimer = 0;
+  });
+  startLevel(room, room.levelIndex);
+}
+
+// Give an entity the room's next id. Ids are never reused within a room, so
+// a message naming an entity can't reach one that replaced it.
+function assignEntityId(room, entity) {
+  entity.id = ++room.nextEntityId;
+  return entity;
+}
+
+// Entity of a kind ('enemies', 'collectibles', ...) by id, or undefined
+function findEntity(room, kind, id) {
+  return room.gameState[kind].find(entity => entity.id === id);
+}
+
+// Add an entity to the running level and tell every client. Entities the
+// level starts with are sent with the level data instead.
+function spawnEntity(room, kind, entity) {
+  assignEntityId(room, entity);
+  room.gameState[kind].push(entity);
+  broadcast(room, { type: 'entitySpawned', kind, entity });
+  return entity;
+}
+
+// Remove an entity from the running level and tell every client
+function despawnEntity(room, kind, id) {
+  const index = room.gameState[kind].findIndex(entity => entity.id === id);
+  if (index < 0) return;
+  room.gameState[kind].splice(index, 1);
+  broadcast(room, { type: 'entityDespawned', kind, id });
 }
 
 // Add a collectible item
-function addCollectible(x, y, type) {
-  gameState.collectibles.push({
+function addCollectible(room, x, y, type) {
+  room.gameState.collectibles.push(assignEntityId(room, createCollectible(x, y, type)));
+}
+
+// Create a collectible item
+function createCollectible(x, y, type) {
+  return {
     x: x,
     y: y,
     pos_x: x, // Add pos_x for client compatibility
@@ -866,37 +1724,36 @@ function addCollectible(x, y, type) {
     collected: false,
     animationFrame: 0,
     animationTimer: 0
-  });
+  };
 }
 
-// Create enemies
-function createEnemies() {
-  gameState.enemies = [];
-  
-  // Add enemies at various positions
-  addEnemy(200, 238 - 16, 'slime', 150, 250);
-  addEnemy(400, 238 - 16, 'robot', 380, 480);
-  addEnemy(650, 148 - 16, 'bat', 600, 700);
+// Add an enemy
+function addEnemy(room, x, y, type, leftBound, rightBound, behavior) {
+  room.gameState.enemies.push(assignEntityId(room, createEnemy(x, y, type, leftBound, rightBound, behavior)));
 }
 
-// Add an enemy
-function addEnemy(x, y, type, leftBound, rightBound) {
-  gameState.enemies.push({
+// Create an enemy. behavior holds the spawn's tuning overrides, if any (see enemyai.js).
+function createEnemy(x, y, type, leftBound, rightBound, behavior) {
+  const size = EnemyAI.ENEMY_BEHAVIORS[type].size;
+  return EnemyAI.resetEnemy({
     x: x,
     y: y,
-    width: 16,
-    height: 16,
+    width: size.width,
+    height: size.height,
     type: type,
-    vel_x: 50,
+    vel_x: 0,
     vel_y: 0,
     leftBound: leftBound,
     rightBound: rightBound,
+    behavior: behavior,
+    tuning: EnemyAI.enemyTuning(type, behavior),
     facingRight: true,
     animationFrame: 0,
     animationTimer: 0,
     pixelMasks: createEnemyPixelMasks(type), // Add pixel masks for collision detection
     defeated: false, // Add a defeated state
     respawnTimer: 0, // Add respawn timer
+    scored: false, // Whether defeating this spawn has earned points this level
     originalX: x, // Store original position for respawning
     originalY: y
   });
@@ -922,6 +1779,11 @@ function createEnemyPixelMasks(type) {
       masks.push(createBatMask(0)); // Frame 0
       masks.push(createBatMask(1)); // Frame 1
       break;
+    case 'golem':
+      // Create masks for both animation frames
+      masks.push(createGolemMask(0)); // Frame 0
+      masks.push(createGolemMask(1)); // Frame 1
+      break;
   }
   
   return masks;
@@ -998,6 +1860,31 @@ function createBatMask(frame) {
   return mask;
 }
 
+// Create a pixel mask for a golem boss
+function createGolemMask(frame) {
+  const mask = create2DArray(32, 32, false);
+  
+  // Head and body
+  fillRectInMask(mask, 10, 2, 12, 8);
+  fillRectInMask(mask, 6, 10, 20, 14);
+  
+  if (frame === 0) {
+    // Arms down, legs together
+    fillRectInMask(mask, 2, 12, 4, 12);
+    fillRectInMask(mask, 26, 12, 4, 12);
+    fillRectInMask(mask, 9, 24, 6, 8);
+    fillRectInMask(mask, 17, 24, 6, 8);
+  } else {
+    // Arms raised, legs apart
+    fillRectInMask(mask, 2, 8, 4, 12);
+    fillRectInMask(mask, 26, 8, 4, 12);
+    fillRectInMask(mask, 7, 24, 6, 8);
+    fillRectInMask(mask, 19, 24, 6, 8);
+  }
+  
+  return mask;
+}
+
 // Create a 2D array filled with a default value
 function create2DArray(width, height, defaultValue) {
   const array = [];
@@ -1188,47 +2075,162 @@ function createCharacterSprite(width, height) {
   return sprite;
 }
 
-// Handle sword attack from client
-function handleSwordAttack(data) {
-  const { playerId, swordX, swordY, swordWidth, swordHeight, facingRight } = data;
-  
-  // Verify the player exists
-  if (!gameState.players[playerId]) return;
-  
+// Handle a sword swing requested by a player. The swing uses the server's
+// position and facing of the player, after their queued inputs have been
+// simulated, and is dropped while their sword is still on cooldown.
+function handleSwordAttack(room, player) {
+  player.attackRequested = false;
+  if (player.attackCooldown > ATTACK_COOLDOWN_TOLERANCE) return;
+
+  const physics = room.gameState.physics;
+  player.attackCooldown = physics.attackDuration + physics.attackCooldownMax;
+
+  const sword = Physics.swordHitbox(player, physics.swordReach);
+
   // Broadcast the sword attack to all clients
-  broadcast({
+  broadcast(room, {
     type: 'playerSwordAttack',
-    playerId: playerId,
-    swordX: swordX,
-    swordY: swordY,
-    swordWidth: swordWidth,
-    swordHeight: swordHeight,
-    facingRight: facingRight
+    playerId: player.id,
+    swordX: sword.x,
+    swordY: sword.y,
+    swordWidth: sword.width,
+    swordHeight: sword.height,
+    facingRight: player.facingRight
   });
   
   // Check for enemies in sword range
-  gameState.enemies.forEach((enemy, index) => {
+  room.gameState.enemies.forEach(enemy => {
     // Skip already defeated enemies
     if (enemy.defeated) return;
     
     // Check if sword hitbox intersects with enemy
-    if (checkRectCollision(
-      swordX, swordY, swordWidth, swordHeight,
+    if (Physics.checkRectCollision(
+      sword.x, sword.y, sword.width, sword.height,
       enemy.x, enemy.y, enemy.width, enemy.height
     )) {
-      // Defeat enemy
-      enemy.defeated = true;
-      enemy.respawnTimer = 5; // Respawn after 5 seconds
-      
-      // Broadcast enemy defeat to all clients
-      broadcast({
-        type: 'enemyDefeated',
-        enemyIndex: index,
-        playerId: playerId
-      });
+      damageEnemy(room, enemy, 1, player.id);
+    }
+  });
+}
+
+// Take hit points off an enemy for a player's attack, defeating it once it
+// has none left
+function damageEnemy(room, enemy, damage, playerId) {
+  if (EnemyAI.hurtEnemy(enemy, damage)) {
+    defeatEnemy(room, enemy, playerId);
+  }
+}
+
+// Defeat an enemy for a player, who scores for it if still in the room, and
+// tell every client. Each spawn only scores once per level, so waiting for an
+// enemy to respawn and defeating it again earns nothing.
+function defeatEnemy(room, enemy, playerId) {
+  const boss = EnemyAI.isBoss(enemy);
+  enemy.defeated = true;
+  enemy.respawnTimer = boss ? 0 : ENEMY_RESPAWN_TIME;
+
+  const player = room.gameState.players[playerId];
+  if (player && !enemy.scored) {
+    enemy.scored = true;
+    player.score += boss ? BOSS_SCORE : ENEMY_SCORE;
+  }
+
+  broadcast(room, {
+    type: 'enemyDefeated',
+    enemyId: enemy.id,
+    playerId: playerId
+  });
+
+  // Beating the boss opens its arena
+  if (room.gameState.arena && room.gameState.arena.bossId === enemy.id) {
+    unlockArena(room);
+  }
+}
+
+// Close a boss's arena once a living player is inside it and nobody stands
+// where its gates go. A fight everyone has left (or is out of lives in) is
+// called off: the arena opens and the boss goes back to sleep at full health.
+function updateArena(room) {
+  const gameState = room.gameState;
+  const arena = gameState.arena;
+
+  if (arena) {
+    const boss = findEntity(room, 'enemies', arena.bossId);
+    const fighting = Object.values(gameState.players).some(player =>
+      (!player.dead || player.lives > 0) && EnemyAI.insideArena(arena, player)
+    );
+    if (!boss || !fighting) {
+      unlockArena(room);
+      if (boss) {
+        EnemyAI.resetEnemy(boss);
+      }
+    }
+    return;
+  }
+
+  const players = Object.values(gameState.players).filter(player => !player.dead);
+  gameState.enemies.forEach(enemy => {
+    if (gameState.arena || enemy.defeated || !EnemyAI.isBoss(enemy)) return;
+
+    const bossArena = EnemyAI.bossArena(enemy);
+    const entrant = players.find(player => EnemyAI.insideArena(bossArena, player));
+    if (entrant && !players.some(player => EnemyAI.blocksGates(bossArena, player))) {
+      lockArena(room, enemy, entrant);
     }
   });
 }
 
+// Close a boss's arena with gate tiles and wake the boss. Until the arena
+// opens, players who die in it respawn where the first player came in.
+function lockArena(room, boss, entrant) {
+  const map = room.gameState.map;
+  const arena = EnemyAI.bossArena(boss);
+  const gates = EnemyAI.arenaGates(map, arena);
+
+  room.gameState.arena = {
+    ...arena,
+    spawn: { x: entrant.pos_x, y: entrant.pos_y },
+    openTiles: gates.map(([tx, ty]) => [tx, ty, Tilemap.getTile(map, tx, ty)]) // What the gates replaced
+  };
+  gates.forEach(([tx, ty, tile]) => Tilemap.setTile(map, tx, ty, tile));
+  EnemyAI.wakeBoss(boss);
+
+  console.log(`Room ${room.code} locked the arena of boss ${boss.id}`);
+  broadcast(room, {
+    type: 'arenaLocked',
+    ...arenaData(room.gameState.arena),
+    tiles: gates
+  });
+}
+
+// Open the locked arena again, putting back the tiles its gates replaced
+function unlockArena(room) {
+  const arena = room.gameState.arena;
+  const tiles = EnemyAI.gatesToOpen(room.gameState.map, arena.openTiles);
+  tiles.forEach(([tx, ty, tile]) => Tilemap.setTile(room.gameState.map, tx, ty, tile));
+  room.gameState.arena = null;
+
+  broadcast(room, {
+    type: 'arenaUnlocked',
+    bossId: arena.bossId,
+    tiles
+  });
+}
+
+// What clients are told about a locked arena, null when there is none
+function arenaData(arena) {
+  return arena ? { bossId: arena.bossId, left: arena.left, right: arena.right } : null;
+}
+
+// Throw a dagger for a player, unless they threw one too recently
+function handleThrow(room, player) {
+  player.throwRequested = false;
+  if (player.throwCooldown > 0) return;
+  player.throwCooldown = THROW_COOLDOWN;
+
+  const handX = player.facingRight ? player.pos_x + player.width : player.pos_x;
+  fireProjectile(room, 'dagger', handX, player.pos_y + player.height / 3, player.facingRight, { kind: 'player', id: player.id });
+}
+
 // Start the server
 console.log('WebSocket server started on port 8080');
\ No newline at end of file
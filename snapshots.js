@@ -0,0 +1,189 @@
+// Game state snapshots and delta compression, shared by the server
+// (servercode.js) and the browser client (game.js).
+//
+// The server captures a snapshot of the replicated entity fields, diffs it
+// against the last snapshot each client acknowledged and sends only what
+// changed. The client applies the delta on top of its copy of that baseline
+// to rebuild the full snapshot. Removed entities and fields that became
+// undefined are listed explicitly, so they don't linger in the rebuilt copy.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node.js (server)
+    module.exports = factory();
+  } else {
+    // Browser global (client)
+    root.Snapshots = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Fields replicated for each entity kind. Anything else (pixel masks,
+  // patrol bounds, queued inputs) is static or only needed by the server.
+  const SNAPSHOT_FIELDS = {
+    players: [
+      'id', 'pos_x', 'pos_y', 'vel_x', 'vel_y', 'width', 'height',
+      'onGround', 'canJump', 'jumpCooldown', 'facingRight',
+      'knockbackTimer', 'animationFrame', 'lastProcessedInput', 'score',
+      'health', 'lives', 'invincibleTimer', 'dead'
+    ],
+    enemies: [
+      'x', 'y', 'width', 'height', 'type', 'facingRight',
+      'animationFrame', 'defeated', 'respawnTimer', 'state',
+      'targetId', 'health'
+    ],
+    collectibles: [
+      'x', 'y', 'width', 'height', 'type', 'collected', 'animationFrame'
+    ],
+    projectiles: [
+      'x', 'y', 'width', 'height', 'type', 'vel_x', 'vel_y'
+    ]
+  };
+
+  const ENTITY_KINDS = Object.keys(SNAPSHOT_FIELDS);
+
+  // Copy the listed fields of an entity
+  function pickFields(entity, fields) {
+    const copy = {};
+    fields.forEach(field => {
+      if (entity[field] !== undefined) {
+        copy[field] = entity[field];
+      }
+    });
+    return copy;
+  }
+
+  // Capture the replicated fields of every entity in the game state.
+  // Collections may be objects keyed by id or arrays of entities with an id
+  // field; either way the snapshot is keyed by id, so an entity keeps its key
+  // when others are added or removed.
+  function captureSnapshot(state) {
+    const snapshot = {};
+
+    ENTITY_KINDS.forEach(kind => {
+      const entities = state[kind] || {};
+      snapshot[kind] = {};
+
+      if (Array.isArray(entities)) {
+        entities.forEach(entity => {
+          snapshot[kind][entity.id] = pickFields(entity, SNAPSHOT_FIELDS[kind]);
+        });
+      } else {
+        Object.keys(entities).forEach(key => {
+          snapshot[kind][key] = pickFields(entities[key], SNAPSHOT_FIELDS[kind]);
+        });
+      }
+    });
+
+    return snapshot;
+  }
+
+  // Build a delta holding only the entities and fields that changed between
+  // base and current. A null base produces a keyframe with every field.
+  // Fields an entity no longer has are listed by entity key in cleared.
+  function diffSnapshot(base, current) {
+    const delta = {};
+    const removed = {};
+    const cleared = {};
+
+    ENTITY_KINDS.forEach(kind => {
+      const baseEntities = base ? base[kind] : {};
+      const currentEntities = current[kind];
+      const changedEntities = {};
+      let anyChanged = false;
+
+      Object.keys(currentEntities).forEach(key => {
+        const before = baseEntities[key];
+        const after = currentEntities[key];
+
+        // New entity: send everything
+        if (!before) {
+          changedEntities[key] = after;
+          anyChanged = true;
+          return;
+        }
+
+        const changedFields = {};
+        let fieldChanged = false;
+        Object.keys(after).forEach(field => {
+          if (after[field] !== before[field]) {
+            changedFields[field] = after[field];
+            fieldChanged = true;
+          }
+        });
+
+        if (fieldChanged) {
+          changedEntities[key] = changedFields;
+          anyChanged = true;
+        }
+
+        const clearedFields = Object.keys(before).filter(field => !(field in after));
+        if (clearedFields.length > 0) {
+          cleared[kind] = cleared[kind] || {};
+          cleared[kind][key] = clearedFields;
+        }
+      });
+
+      if (anyChanged) {
+        delta[kind] = changedEntities;
+      }
+
+      const removedKeys = Object.keys(baseEntities).filter(key => !(key in currentEntities));
+      if (removedKeys.length > 0) {
+        removed[kind] = removedKeys;
+      }
+    });
+
+    if (Object.keys(removed).length > 0) {
+      delta.removed = removed;
+    }
+    if (Object.keys(cleared).length > 0) {
+      delta.cleared = cleared;
+    }
+
+    return delta;
+  }
+
+  // Rebuild the full snapshot described by a delta on top of base
+  // (null for keyframes). The base snapshot is left untouched.
+  function applyDelta(base, delta) {
+    const snapshot = {};
+
+    ENTITY_KINDS.forEach(kind => {
+      const entities = {};
+      const baseEntities = base ? base[kind] : {};
+
+      Object.keys(baseEntities).forEach(key => {
+        entities[key] = { ...baseEntities[key] };
+      });
+
+      const removedKeys = (delta.removed && delta.removed[kind]) || [];
+      removedKeys.forEach(key => {
+        delete entities[key];
+      });
+
+      const changedEntities = delta[kind] || {};
+      Object.keys(changedEntities).forEach(key => {
+        entities[key] = Object.assign(entities[key] || {}, changedEntities[key]);
+      });
+
+      const clearedEntities = (delta.cleared && delta.cleared[kind]) || {};
+      Object.keys(clearedEntities).forEach(key => {
+        if (!entities[key]) return;
+        clearedEntities[key].forEach(field => {
+          delete entities[key][field];
+        });
+      });
+
+      snapshot[kind] = entities;
+    });
+
+    return snapshot;
+  }
+
+  return {
+    SNAPSHOT_FIELDS,
+    captureSnapshot,
+    diffSnapshot,
+    applyDelta
+  };
+});
@@ -0,0 +1,178 @@
+// Tests for the shared player physics (physics.js)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Tilemap = require('../tilemap');
+const Physics = require('../physics');
+
+const TILE = Tilemap.TILE_SIZE;
+const DT = 1 / 60;
+
+// A 20x10 map with a ground row at y = 8, a wall column at x = 12 and a pit at x = 16
+function createTestMap() {
+  const map = Tilemap.createTilemap(20, 10, 0);
+  Tilemap.fillTiles(map, 0, 8, 20, 2, Tilemap.tileIndex('ground'));
+  Tilemap.fillTiles(map, 12, 4, 1, 4, Tilemap.tileIndex('stone'));
+  Tilemap.fillTiles(map, 16, 8, 2, 2, Tilemap.tileIndex('empty'));
+  return map;
+}
+
+function createBody(x, y) {
+  return {
+    pos_x: x,
+    pos_y: y,
+    vel_x: 0,
+    vel_y: 0,
+    width: 16,
+    height: 24,
+    onGround: false,
+    canJump: true,
+    jumpCooldown: 0,
+    facingRight: true,
+    knockbackTimer: 0
+  };
+}
+
+// Step a body for a number of frames with the same keys, collecting the events
+function run(body, keys, map, frames) {
+  const events = [];
+  for (let i = 0; i < frames; i++) {
+    events.push(Physics.stepPlayer(body, keys, map, Physics.DEFAULT_PHYSICS, DT));
+  }
+  return events;
+}
+
+test('a falling body lands on the ground and stays there', () => {
+  const map = createTestMap();
+  const body = createBody(2 * TILE, 2 * TILE);
+
+  const events = run(body, {}, map, 120);
+
+  assert.strictEqual(body.onGround, true);
+  assert.strictEqual(body.vel_y, 0);
+  assert.ok(body.pos_y + body.height <= 8 * TILE, 'body is not inside the ground');
+  assert.ok(body.pos_y + body.height > 8 * TILE - 1, 'body rests on the ground');
+  assert.strictEqual(events.filter(event => event.landed).length, 1);
+});
+
+test('horizontal input moves at the configured speed and sets facing', () => {
+  const map = createTestMap();
+  const body = createBody(2 * TILE, 8 * TILE - 24);
+  run(body, {}, map, 5);
+
+  const startX = body.pos_x;
+  run(body, { right: true }, map, 30);
+  assert.ok(Math.abs(body.pos_x - (startX + Physics.DEFAULT_PHYSICS.speed * 30 * DT)) < 1e-6);
+  assert.strictEqual(body.facingRight, true);
+
+  run(body, { left: true }, map, 1);
+  assert.strictEqual(body.vel_x, -Physics.DEFAULT_PHYSICS.speed);
+  assert.strictEqual(body.facingRight, false);
+
+  run(body, {}, map, 1);
+  assert.strictEqual(body.vel_x, 0);
+});
+
+test('walls stop horizontal movement', () => {
+  const map = createTestMap();
+  const body = createBody(9 * TILE, 8 * TILE - 24);
+
+  run(body, { right: true }, map, 120);
+
+  assert.ok(body.pos_x + body.width <= 12 * TILE, 'body does not enter the wall');
+  assert.ok(body.pos_x + body.width > 12 * TILE - 3, 'body reaches the wall');
+  assert.strictEqual(body.vel_x, 0);
+});
+
+test('the map edges act as walls', () => {
+  const map = createTestMap();
+  const body = createBody(TILE, 8 * TILE - 24);
+
+  run(body, { left: true }, map, 60);
+
+  assert.strictEqual(body.pos_x, 0);
+});
+
+test('jumping needs the ground, a released key and an elapsed cooldown', () => {
+  const map = createTestMap();
+  const body = createBody(2 * TILE, 8 * TILE - 24);
+  run(body, {}, map, 5);
+
+  const [jump] = run(body, { jump: true }, map, 1);
+  assert.strictEqual(jump.jumped, true);
+  assert.ok(body.vel_y < 0);
+
+  // Holding the key through the landing doesn't jump again
+  const held = run(body, { jump: true }, map, 120);
+  assert.strictEqual(held.filter(event => event.jumped).length, 0);
+  assert.strictEqual(body.onGround, true);
+
+  run(body, {}, map, 1);
+  const [again] = run(body, { jump: true }, map, 1);
+  assert.strictEqual(again.jumped, true);
+});
+
+test('releasing jump early cuts the jump short', () => {
+  const map = createTestMap();
+  const full = createBody(2 * TILE, 8 * TILE - 24);
+  const short = createBody(2 * TILE, 8 * TILE - 24);
+  run(full, {}, map, 5);
+  run(short, {}, map, 5);
+
+  let fullTop = full.pos_y;
+  let shortTop = short.pos_y;
+  for (let i = 0; i < 60; i++) {
+    Physics.stepPlayer(full, { jump: true }, map, Physics.DEFAULT_PHYSICS, DT);
+    Physics.stepPlayer(short, { jump: i < 2 }, map, Physics.DEFAULT_PHYSICS, DT);
+    fullTop = Math.min(fullTop, full.pos_y);
+    shortTop = Math.min(shortTop, short.pos_y);
+  }
+
+  assert.ok(shortTop > fullTop, 'short jump peaks lower');
+});
+
+test('a body that walks into a pit ends up in the kill zone', () => {
+  const map = createTestMap();
+  const body = createBody(16 * TILE, 8 * TILE - 24);
+
+  assert.strictEqual(Physics.inKillZone(map, body), false);
+  run(body, {}, map, 120);
+  assert.strictEqual(Physics.inKillZone(map, body), true);
+});
+
+test('knockback overrides horizontal input until it wears off', () => {
+  const map = createTestMap();
+  const body = createBody(4 * TILE, 8 * TILE - 24);
+  run(body, {}, map, 5);
+
+  Physics.knockBack(body, body.pos_x + body.width, Physics.DEFAULT_PHYSICS);
+  assert.strictEqual(body.vel_x, -Physics.DEFAULT_PHYSICS.knockbackSpeed);
+
+  run(body, { right: true }, map, 1);
+  assert.strictEqual(body.vel_x, -Physics.DEFAULT_PHYSICS.knockbackSpeed);
+
+  run(body, { right: true }, map, Math.ceil(Physics.DEFAULT_PHYSICS.knockbackTime / DT) + 1);
+  assert.strictEqual(body.vel_x, Physics.DEFAULT_PHYSICS.speed);
+});
+
+test('the same inputs always give the same result', () => {
+  const map = createTestMap();
+  const inputs = [];
+  for (let i = 0; i < 200; i++) {
+    inputs.push({ right: i % 50 < 30, left: i % 70 > 60, jump: i % 40 < 10 });
+  }
+
+  const first = createBody(2 * TILE, 2 * TILE);
+  const second = createBody(2 * TILE, 2 * TILE);
+  inputs.forEach(keys => Physics.stepPlayer(first, keys, map, Physics.DEFAULT_PHYSICS, DT));
+  inputs.forEach(keys => Physics.stepPlayer(second, keys, map, Physics.DEFAULT_PHYSICS, DT));
+
+  assert.deepStrictEqual(first, second);
+});
+
+test('checkRectCollision only reports overlapping rectangles', () => {
+  assert.strictEqual(Physics.checkRectCollision(0, 0, 10, 10, 5, 5, 10, 10), true);
+  assert.strictEqual(Physics.checkRectCollision(0, 0, 10, 10, 10, 0, 10, 10), false);
+  assert.strictEqual(Physics.checkRectCollision(0, 0, 10, 10, 0, 11, 10, 10), false);
+});
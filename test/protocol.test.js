@@ -0,0 +1,114 @@
+// Tests for the binary wire protocol (protocol.js)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Protocol = require('../protocol');
+const Snapshots = require('../snapshots');
+
+function roundTrip(message) {
+  return Protocol.decodeMessage(Protocol.encodeMessage(message));
+}
+
+test('inputs round-trip with their keys', () => {
+  const input = { type: 'input', sequence: 42, dt: 1 / 60, keys: { left: false, right: true, jump: true } };
+
+  assert.deepStrictEqual(roundTrip(input), input);
+});
+
+test('inputs with a dt that is not finite are rejected', () => {
+  const frame = Protocol.encodeMessage({ type: 'input', sequence: 1, dt: NaN, keys: {} });
+
+  assert.throws(() => Protocol.decodeMessage(frame), /finite/);
+});
+
+test('game state deltas round-trip, including removed entities and cleared fields', () => {
+  const base = Snapshots.captureSnapshot({
+    players: { p1: { id: 'p1', pos_x: 12.25, pos_y: 100, score: 30, onGround: true, health: 3 } },
+    enemies: [
+      { id: 1, x: 64, y: 32, type: 'golem', state: 'walk', targetId: 'p1', health: 300 },
+      { id: 2, x: 8, y: 8, type: 'slime', state: 'idle', targetId: '' }
+    ],
+    collectibles: [],
+    projectiles: []
+  });
+  const current = Snapshots.captureSnapshot({
+    players: { p1: { id: 'p1', pos_x: 14.5, pos_y: 100, onGround: false, health: 3 } },
+    enemies: [{ id: 1, x: 64, y: 32, type: 'golem', state: 'charge', health: 299 }],
+    collectibles: [],
+    projectiles: [{ id: 7, x: 1.5, y: 2.5, width: 8, height: 4, type: 'dagger', vel_x: 220, vel_y: -150 }]
+  });
+  const message = { type: 'gameState', tick: 10, baseTick: 8, serverTime: 123456, ...Snapshots.diffSnapshot(base, current) };
+
+  const decoded = roundTrip(message);
+
+  assert.deepStrictEqual(decoded, message);
+  assert.deepStrictEqual(decoded.removed, { enemies: ['2'] });
+  assert.deepStrictEqual(decoded.cleared, { players: { p1: ['score'] }, enemies: { 1: ['targetId'] } });
+  assert.deepStrictEqual(Snapshots.applyDelta(base, decoded), current);
+});
+
+test('keyframes round-trip without removed or cleared sections', () => {
+  const snapshot = Snapshots.captureSnapshot({
+    players: { p1: { id: 'p1', pos_x: 1, pos_y: 2, lives: 3, dead: false } },
+    enemies: [],
+    collectibles: [{ id: 3, x: 5, y: 6, width: 8, height: 8, type: 'coin', collected: false }],
+    projectiles: []
+  });
+  const message = { type: 'gameState', tick: 1, baseTick: -1, serverTime: 0, ...Snapshots.diffSnapshot(null, snapshot) };
+
+  const decoded = roundTrip(message);
+
+  assert.deepStrictEqual(decoded, message);
+  assert.strictEqual(decoded.removed, undefined);
+  assert.strictEqual(decoded.cleared, undefined);
+});
+
+test('fields without a wire type are refused', () => {
+  const message = { type: 'gameState', tick: 1, baseTick: -1, serverTime: 0, players: { p1: { keys: {} } } };
+
+  assert.throws(() => Protocol.encodeMessage(message), /No wire type/);
+
+  const cleared = { type: 'gameState', tick: 1, baseTick: 0, serverTime: 0, cleared: { players: { p1: ['keys'] } } };
+  assert.throws(() => Protocol.encodeMessage(cleared), /No wire type for players field "keys"/);
+});
+
+test('maps round-trip through run-length encoding', () => {
+  const tiles = [];
+  for (let i = 0; i < 64 * 15; i++) {
+    tiles.push(i % 64 < 10 ? 1 : 0);
+  }
+  const message = { type: 'map', mapData: { width: 64, height: 15, tileSize: 16, tiles } };
+
+  assert.deepStrictEqual(roundTrip(message), message);
+});
+
+// A map frame with the given size and tile runs of tile 1
+function mapFrame(width, height, runs) {
+  const frame = Buffer.alloc(6 + runs.length * 3);
+  frame.writeUInt8(3, 0);
+  frame.writeUInt16BE(width, 1);
+  frame.writeUInt16BE(height, 3);
+  frame.writeUInt8(16, 5);
+  runs.forEach((length, i) => {
+    frame.writeUInt16BE(length, 6 + i * 3);
+    frame.writeUInt8(1, 8 + i * 3);
+  });
+  return frame;
+}
+
+test('malformed maps are rejected', () => {
+  assert.throws(() => Protocol.decodeMessage(mapFrame(65535, 65535, [65535])), /tiles per side/);
+  assert.throws(() => Protocol.decodeMessage(mapFrame(10, 1, [0, 10])), /run/);
+  assert.throws(() => Protocol.decodeMessage(mapFrame(10, 1, [4, 20])), /run/);
+  assert.strictEqual(Protocol.decodeMessage(mapFrame(10, 1, [4, 6])).mapData.tiles.length, 10);
+});
+
+test('message types outside the allowed list are rejected before decoding', () => {
+  const frame = mapFrame(10, 1, [10]);
+
+  assert.throws(() => Protocol.decodeMessage(frame, Protocol.CLIENT_MESSAGE_TYPES), /not accepted/);
+  assert.throws(() => Protocol.decodeMessage(Buffer.from([99])), /Unknown binary message type/);
+  const input = Protocol.encodeMessage({ type: 'input', sequence: 1, dt: 0.5, keys: {} });
+  assert.strictEqual(Protocol.decodeMessage(input, Protocol.CLIENT_MESSAGE_TYPES).type, 'input');
+});
@@ -0,0 +1,103 @@
+// Tests for snapshot capture and delta compression (snapshots.js)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Snapshots = require('../snapshots');
+
+function createState() {
+  return {
+    players: {
+      a: { id: 'a', pos_x: 10, pos_y: 20, score: 0, keys: { left: true } },
+      b: { id: 'b', pos_x: 30, pos_y: 40, score: 5 }
+    },
+    enemies: [
+      { id: 1, x: 100, y: 50, type: 'slime', state: 'idle', targetId: '', pixelMasks: [[1]] },
+      { id: 2, x: 200, y: 50, type: 'bat', state: 'fly', targetId: 'a' }
+    ],
+    collectibles: [{ id: 3, x: 5, y: 5, type: 'coin', collected: false }],
+    projectiles: []
+  };
+}
+
+test('captureSnapshot keeps only replicated fields, keyed by id', () => {
+  const snapshot = Snapshots.captureSnapshot(createState());
+
+  assert.deepStrictEqual(Object.keys(snapshot.enemies), ['1', '2']);
+  assert.strictEqual(snapshot.enemies[1].pixelMasks, undefined);
+  assert.strictEqual(snapshot.players.a.keys, undefined);
+  assert.deepStrictEqual(snapshot.projectiles, {});
+});
+
+test('a keyframe rebuilds the whole snapshot', () => {
+  const snapshot = Snapshots.captureSnapshot(createState());
+  const delta = Snapshots.diffSnapshot(null, snapshot);
+
+  assert.deepStrictEqual(Snapshots.applyDelta(null, delta), snapshot);
+});
+
+test('a delta holds only changed fields and rebuilds the current snapshot', () => {
+  const state = createState();
+  const base = Snapshots.captureSnapshot(state);
+  state.players.a.pos_x = 11;
+  state.enemies[1].state = 'swoop';
+  const current = Snapshots.captureSnapshot(state);
+
+  const delta = Snapshots.diffSnapshot(base, current);
+
+  assert.deepStrictEqual(delta, {
+    players: { a: { pos_x: 11 } },
+    enemies: { 2: { state: 'swoop' } }
+  });
+  assert.deepStrictEqual(Snapshots.applyDelta(base, delta), current);
+});
+
+test('an unchanged state gives an empty delta', () => {
+  const base = Snapshots.captureSnapshot(createState());
+  const current = Snapshots.captureSnapshot(createState());
+
+  assert.deepStrictEqual(Snapshots.diffSnapshot(base, current), {});
+});
+
+test('added entities are sent whole and removed ones are listed', () => {
+  const state = createState();
+  const base = Snapshots.captureSnapshot(state);
+  state.enemies.shift();
+  state.projectiles.push({ id: 4, x: 1, y: 2, type: 'dagger', vel_x: 220, vel_y: -150 });
+  delete state.players.b;
+  const current = Snapshots.captureSnapshot(state);
+
+  const delta = Snapshots.diffSnapshot(base, current);
+
+  assert.deepStrictEqual(delta.removed, { players: ['b'], enemies: ['1'] });
+  assert.deepStrictEqual(delta.projectiles[4], current.projectiles[4]);
+  assert.deepStrictEqual(Snapshots.applyDelta(base, delta), current);
+});
+
+test('fields that became undefined are cleared', () => {
+  const state = createState();
+  const base = Snapshots.captureSnapshot(state);
+  state.enemies[1].targetId = undefined;
+  delete state.players.a.score;
+  const current = Snapshots.captureSnapshot(state);
+
+  const delta = Snapshots.diffSnapshot(base, current);
+  const rebuilt = Snapshots.applyDelta(base, delta);
+
+  assert.deepStrictEqual(delta.cleared, { players: { a: ['score'] }, enemies: { 2: ['targetId'] } });
+  assert.deepStrictEqual(rebuilt, current);
+  assert.ok(!('targetId' in rebuilt.enemies[2]));
+});
+
+test('applyDelta leaves the baseline untouched', () => {
+  const state = createState();
+  const base = Snapshots.captureSnapshot(state);
+  const copy = JSON.parse(JSON.stringify(base));
+  state.players.a.pos_x = 99;
+  delete state.players.a.score;
+  state.enemies.pop();
+
+  Snapshots.applyDelta(base, Snapshots.diffSnapshot(base, Snapshots.captureSnapshot(state)));
+
+  assert.deepStrictEqual(base, copy);
+});
@@ -0,0 +1,437 @@
+// Import of maps made with the Tiled editor (https://www.mapeditor.org) for
+// the level loader (levels.js). Both the JSON (.tmj) and XML (.tmx) formats
+// are converted to our level file format, which is then validated as usual.
+//
+// - Tile layers become the level's tiles. A Tiled tile maps to the tileset
+//   entry named by its class (or a "tile" property), otherwise to its local
+//   tile id + 1, so a Tiled tileset laid out like Tilemap.TILESET needs no setup.
+// - Object layers hold enemy spawns (class named after an enemy type, such
+//   as slime or golem, with leftBound and rightBound properties, any other
+//   properties override the enemy's behavior tuning), coins, level exits
+//   (class door or flag), checkpoints (class checkpoint) and the player
+//   spawn (class playerSpawn).
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const Tilemap = require('./tilemap');
+const LevelFormat = require('./levelformat');
+
+const PLAYER_SPAWN_CLASSES = ['playerSpawn', 'spawn'];
+const ENEMY_CLASSES = LevelFormat.ENEMY_TYPES;
+const COLLECTIBLE_CLASSES = ['coin'];
+const EXIT_CLASSES = ['door', 'flag'];
+const CHECKPOINT_CLASS = 'checkpoint';
+
+// Tiled stores flip/rotation flags in the top bits of each gid
+const GID_FLAGS = 0xf0000000;
+
+// Convert a Tiled map (the JSON structure, as loaded from .tmj or produced by
+// parseTmx) into level file data. filePath resolves external tilesets; fail
+// reports errors and must throw.
+function convertMap(tiled, filePath, fail) {
+  if (typeof tiled !== 'object' || tiled === null) fail('Tiled map must be an object');
+  if (tiled.orientation && tiled.orientation !== 'orthogonal') {
+    fail(`only orthogonal Tiled maps are supported (got ${tiled.orientation})`);
+  }
+  if (tiled.infinite) fail('infinite Tiled maps are not supported, set a fixed map size');
+  if (tiled.tilewidth !== Tilemap.TILE_SIZE || tiled.tileheight !== Tilemap.TILE_SIZE) {
+    fail(`Tiled map tiles must be ${Tilemap.TILE_SIZE}x${Tilemap.TILE_SIZE} (got ${tiled.tilewidth}x${tiled.tileheight})`);
+  }
+
+  const width = tiled.width;
+  const height = tiled.height;
+  // Checked before the tile array is allocated
+  [['width', width], ['height', height]].forEach(([name, value]) => {
+    if (!Number.isInteger(value) || value < 1 || value > LevelFormat.MAX_MAP_SIZE) {
+      fail(`Tiled map ${name} must be a whole number of tiles from 1 to ${LevelFormat.MAX_MAP_SIZE} (got ${JSON.stringify(value)})`);
+    }
+  });
+  const tilesets = (tiled.tilesets || []).map(tileset => loadTileset(tileset, filePath, fail));
+  const properties = readProperties(tiled.properties);
+
+  const level = {
+    version: 1,
+    metadata: {
+      name: properties.name || path.basename(filePath, path.extname(filePath)),
+      source: 'tiled'
+    },
+    size: { width, height },
+    tiles: new Array(width * height).fill(0),
+    enemies: [],
+    collectibles: [],
+    exits: [],
+    checkpoints: []
+  };
+
+  flattenLayers(tiled.layers || []).forEach(layer => {
+    if (layer.type === 'tilelayer') {
+      addTileLayer(level, layer, tilesets, fail);
+    } else if (layer.type === 'objectgroup') {
+      (layer.objects || []).forEach(object => addObject(level, object, layer.name, fail));
+    }
+  });
+
+  return level;
+}
+
+// Layers in drawing order with group layers expanded
+function flattenLayers(layers) {
+  const flat = [];
+  layers.forEach(layer => {
+    if (layer.type === 'group') {
+      flattenLayers(layer.layers || []).forEach(child => flat.push(child));
+    } else {
+      flat.push(layer);
+    }
+  });
+  return flat;
+}
+
+// Copy the non-empty tiles of a layer into the level. Later layers draw over earlier ones.
+function addTileLayer(level, layer, tilesets, fail) {
+  if (layer.width !== level.size.width || layer.height !== level.size.height) {
+    fail(`tile layer "${layer.name}" must cover the whole map`);
+  }
+
+  const gids = decodeLayerData(layer, fail);
+  if (gids.length !== level.tiles.length) {
+    fail(`tile layer "${layer.name}" has ${gids.length} tiles, expected ${level.tiles.length}`);
+  }
+  gids.forEach((rawGid, i) => {
+    const gid = rawGid & ~GID_FLAGS;
+    if (gid === 0) return;
+    level.tiles[i] = tileForGid(gid, tilesets, layer.name, fail);
+  });
+}
+
+// Tile layer data as an array of gids, decoding base64 and compression
+function decodeLayerData(layer, fail) {
+  if (Array.isArray(layer.data)) return layer.data;
+
+  if (layer.encoding === 'base64') {
+    if (layer.compression && layer.compression !== 'zlib' && layer.compression !== 'gzip') {
+      fail(`tile layer "${layer.name}" uses unsupported ${layer.compression} compression`);
+    }
+
+    let bytes = Buffer.from(String(layer.data).trim(), 'base64');
+    try {
+      if (layer.compression === 'zlib') {
+        bytes = zlib.inflateSync(bytes);
+      } else if (layer.compression === 'gzip') {
+        bytes = zlib.gunzipSync(bytes);
+      }
+    } catch (error) {
+      fail(`tile layer "${layer.name}" data cannot be decompressed (${error.message})`);
+    }
+
+    const gids = [];
+    for (let offset = 0; offset + 4 <= bytes.length; offset += 4) {
+      gids.push(bytes.readUInt32LE(offset));
+    }
+    return gids;
+  }
+
+  fail(`tile layer "${layer.name}" has no readable data`);
+}
+
+// Map a Tiled gid to one of our tileset indices
+function tileForGid(gid, tilesets, layerName, fail) {
+  let tileset = null;
+  tilesets.forEach(candidate => {
+    if (candidate.firstgid <= gid && (!tileset || candidate.firstgid > tileset.firstgid)) {
+      tileset = candidate;
+    }
+  });
+  if (!tileset) fail(`tile layer "${layerName}" uses tile ${gid} which belongs to no tileset`);
+
+  const localId = gid - tileset.firstgid;
+  const name = tileset.names[localId];
+  if (name !== undefined) {
+    const index = Tilemap.TILESET.findIndex(def => def.name === name);
+    if (index < 0) fail(`Tiled tile "${name}" in tileset "${tileset.name}" is not a known tile`);
+    return index;
+  }
+
+  const index = localId + 1;
+  if (index >= Tilemap.TILESET.length) {
+    fail(`tile ${localId} of tileset "${tileset.name}" has no class and no matching tile`);
+  }
+  return index;
+}
+
+// Tileset with the tile names given by class or "tile" property, by local id.
+// External tilesets (.tsj/.tsx) are read relative to the map file.
+function loadTileset(tileset, filePath, fail) {
+  let data = tileset;
+  if (tileset.source) {
+    const tilesetPath = path.resolve(path.dirname(filePath), tileset.source);
+    let text;
+    try {
+      text = fs.readFileSync(tilesetPath, 'utf8');
+    } catch (error) {
+      fail(`cannot read tileset ${tileset.source} (${error.message})`);
+    }
+
+    if (path.extname(tilesetPath).toLowerCase() === '.tsx') {
+      data = convertTilesetElement(parseXml(text, fail), fail);
+    } else {
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        fail(`tileset ${tileset.source} is not valid JSON (${error.message})`);
+      }
+    }
+  }
+
+  const names = {};
+  (data.tiles || []).forEach(tile => {
+    const name = readProperties(tile.properties).tile || tile.class || tile.type;
+    if (name) names[tile.id] = name;
+  });
+
+  return { firstgid: tileset.firstgid, name: data.name || tileset.source, names };
+}
+
+// Turn a Tiled object into a player spawn, enemy, collectible, level exit or checkpoint
+function addObject(level, object, layerName, fail) {
+  const objectClass = object.class || object.type || object.name;
+  const properties = readProperties(object.properties);
+  const where = `object ${object.id} in layer "${layerName}"`;
+
+  // Tile objects are anchored at their bottom-left corner, everything else at the top-left
+  const x = object.x;
+  const y = object.gid ? object.y - object.height : object.y;
+
+  if (PLAYER_SPAWN_CLASSES.includes(objectClass)) {
+    level.playerSpawn = { x, y };
+  } else if (ENEMY_CLASSES.includes(objectClass)) {
+    if (properties.leftBound === undefined || properties.rightBound === undefined) {
+      fail(`${where} (${objectClass}) needs leftBound and rightBound properties`);
+    }
+    const { leftBound, rightBound, ...tuning } = properties;
+    const enemy = { type: objectClass, x, y, leftBound: Number(leftBound), rightBound: Number(rightBound) };
+    if (Object.keys(tuning).length > 0) {
+      enemy.behavior = {};
+      Object.keys(tuning).forEach(key => {
+        enemy.behavior[key] = Number(tuning[key]);
+      });
+    }
+    level.enemies.push(enemy);
+  } else if (COLLECTIBLE_CLASSES.includes(objectClass)) {
+    level.collectibles.push({ type: objectClass, x, y });
+  } else if (EXIT_CLASSES.includes(objectClass)) {
+    // Point objects get the exit type's default size
+    const exit = { type: objectClass, x, y };
+    if (object.width > 0 && object.height > 0) {
+      exit.width = object.width;
+      exit.height = object.height;
+    }
+    level.exits.push(exit);
+  } else if (objectClass === CHECKPOINT_CLASS) {
+    level.checkpoints.push({ x, y });
+  } else {
+    fail(`${where} has unknown class ${JSON.stringify(objectClass)}`);
+  }
+}
+
+// Tiled custom properties as a plain object
+function readProperties(properties) {
+  const values = {};
+  if (Array.isArray(properties)) {
+    properties.forEach(property => {
+      values[property.name] = property.value;
+    });
+  } else if (properties) {
+    // Maps saved by Tiled before 1.2 store properties as an object
+    Object.assign(values, properties);
+  }
+  return values;
+}
+
+// Parse a .tmx document into the same structure as a .tmj file
+function parseTmx(text, fail) {
+  const root = parseXml(text, fail);
+  if (root.name !== 'map') fail(`TMX root element must be <map> (got <${root.name}>)`);
+
+  const map = {
+    orientation: root.attributes.orientation,
+    infinite: root.attributes.infinite === '1',
+    width: Number(root.attributes.width),
+    height: Number(root.attributes.height),
+    tilewidth: Number(root.attributes.tilewidth),
+    tileheight: Number(root.attributes.tileheight),
+    properties: convertPropertiesElement(root),
+    tilesets: [],
+    layers: convertLayerElements(root, fail)
+  };
+
+  root.children.filter(child => child.name === 'tileset').forEach(element => {
+    const tileset = element.attributes.source
+      ? { source: element.attributes.source }
+      : convertTilesetElement(element, fail);
+    tileset.firstgid = Number(element.attributes.firstgid);
+    map.tilesets.push(tileset);
+  });
+
+  return map;
+}
+
+// Layers of a <map> or <group> element, in document order
+function convertLayerElements(parent, fail) {
+  const layers = [];
+
+  parent.children.forEach(element => {
+    const name = element.attributes.name;
+
+    if (element.name === 'layer') {
+      const dataElement = element.children.find(child => child.name === 'data');
+      if (!dataElement) fail(`tile layer "${name}" has no <data>`);
+
+      const layer = {
+        type: 'tilelayer',
+        name,
+        width: Number(element.attributes.width),
+        height: Number(element.attributes.height)
+      };
+      const encoding = dataElement.attributes.encoding;
+      if (encoding === 'csv') {
+        layer.data = dataElement.text.split(',').map(value => Number(value.trim()));
+      } else if (encoding === 'base64') {
+        layer.encoding = 'base64';
+        layer.compression = dataElement.attributes.compression;
+        layer.data = dataElement.text;
+      } else if (!encoding) {
+        // Uncompressed XML: one <tile gid="..."/> per cell
+        layer.data = dataElement.children
+          .filter(child => child.name === 'tile')
+          .map(child => Number(child.attributes.gid || 0));
+      } else {
+        fail(`tile layer "${name}" uses unsupported ${encoding} encoding`);
+      }
+      layers.push(layer);
+    } else if (element.name === 'objectgroup') {
+      layers.push({
+        type: 'objectgroup',
+        name,
+        objects: element.children.filter(child => child.name === 'object').map(object => {
+          const attributes = object.attributes;
+          return {
+            id: Number(attributes.id),
+            name: attributes.name,
+            class: attributes.class,
+            type: attributes.type,
+            gid: attributes.gid ? Number(attributes.gid) : undefined,
+            x: Number(attributes.x || 0),
+            y: Number(attributes.y || 0),
+            width: Number(attributes.width || 0),
+            height: Number(attributes.height || 0),
+            properties: convertPropertiesElement(object)
+          };
+        })
+      });
+    } else if (element.name === 'group') {
+      layers.push({ type: 'group', name, layers: convertLayerElements(element, fail) });
+    }
+  });
+
+  return layers;
+}
+
+// <tileset> element (embedded or from a .tsx file) as its JSON structure
+function convertTilesetElement(element, fail) {
+  if (element.name !== 'tileset') fail(`tileset root element must be <tileset> (got <${element.name}>)`);
+
+  return {
+    name: element.attributes.name,
+    tiles: element.children.filter(child => child.name === 'tile').map(tile => ({
+      id: Number(tile.attributes.id),
+      class: tile.attributes.class,
+      type: tile.attributes.type,
+      properties: convertPropertiesElement(tile)
+    }))
+  };
+}
+
+// <properties> child of an element as a JSON property list
+function convertPropertiesElement(element) {
+  const properties = element.children.find(child => child.name === 'properties');
+  if (!properties) return [];
+
+  return properties.children.filter(child => child.name === 'property').map(property => {
+    const type = property.attributes.type || 'string';
+    const raw = property.attributes.value !== undefined ? property.attributes.value : property.text;
+    let value = raw;
+    if (type === 'int' || type === 'float') value = Number(raw);
+    if (type === 'bool') value = raw === 'true';
+    return { name: property.attributes.name, type, value };
+  });
+}
+
+// Minimal XML parser covering what Tiled writes: elements, attributes, text,
+// comments and the XML declaration. Returns the root element as
+// { name, attributes, children, text }.
+function parseXml(text, fail) {
+  const tokenPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  const stack = [];
+  let root = null;
+  let position = 0;
+  let match;
+
+  while ((match = tokenPattern.exec(text)) !== null) {
+    if (match.index !== position) break;
+    position = tokenPattern.lastIndex;
+
+    const [, cdata, closing, name, attributeText, selfClosing, characters] = match;
+    const parent = stack[stack.length - 1];
+
+    if (cdata !== undefined || characters !== undefined) {
+      if (parent) parent.text += cdata !== undefined ? cdata : decodeEntities(characters);
+      continue;
+    }
+    if (!name) continue; // Comment or declaration
+
+    if (closing) {
+      const element = stack.pop();
+      if (!element || element.name !== name) fail(`malformed XML: unexpected </${name}>`);
+      continue;
+    }
+
+    const element = { name, attributes: {}, children: [], text: '' };
+    let attribute;
+    attributePattern.lastIndex = 0;
+    while ((attribute = attributePattern.exec(attributeText)) !== null) {
+      element.attributes[attribute[1]] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+    }
+
+    if (parent) {
+      parent.children.push(element);
+    } else if (!root) {
+      root = element;
+    } else {
+      fail('malformed XML: more than one root element');
+    }
+    if (!selfClosing) stack.push(element);
+  }
+
+  if (position !== text.length) fail(`malformed XML near character ${position}`);
+  if (stack.length > 0) fail(`malformed XML: <${stack[stack.length - 1].name}> is never closed`);
+  if (!root) fail('XML document is empty');
+  return root;
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (entity, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-fA-F]+);/g, (entity, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+  convertMap,
+  parseTmx
+};
@@ -0,0 +1,128 @@
+// Tile-based maps shared by the server (servercode.js) and the browser client
+// (game.js). A map is a grid of tile indices on a TILE_SIZE pixel grid; what
+// each index means (solidity, collision shape, colors) comes from TILESET.
+//
+// Map objects are plain JSON-friendly data so they can be sent as-is in the
+// handshake: { width, height, tileSize, tiles } with width/height in tiles and
+// tiles a flat row-major array of tileset indices.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    // Node.js (server)
+    module.exports = factory();
+  } else {
+    // Browser global (client)
+    root.Tilemap = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const TILE_SIZE = 16; // Each tile is 16x16 pixels
+
+  // Solid area of a tile in tile-local pixels: [x, y, width, height]
+  const COLLISION_SHAPES = {
+    none: null,
+    full: [0, 0, TILE_SIZE, TILE_SIZE],
+    ledge: [0, 0, TILE_SIZE, 4], // Thin platform along the top edge
+    half: [0, TILE_SIZE / 2, TILE_SIZE, TILE_SIZE / 2] // Bottom half, for steps
+  };
+
+  // Tile definitions by index. Index 0 must stay empty: it is what lies outside the map.
+  const TILESET = [
+    { name: 'empty', shape: 'none', color: null },
+    { name: 'ground', shape: 'full', color: '#8B4513' },
+    { name: 'grass', shape: 'full', color: '#8B4513', topColor: '#228B22' },
+    { name: 'platform', shape: 'ledge', color: '#8B4513', topColor: '#A0522D' },
+    { name: 'stone', shape: 'full', color: '#777777', topColor: '#999999' },
+    { name: 'step', shape: 'half', color: '#8B4513', topColor: '#228B22' },
+    { name: 'gate', shape: 'full', color: '#444455', topColor: '#666677' } // Closes boss arenas
+  ];
+
+  const TILE_INDEX = {};
+  TILESET.forEach((tile, index) => {
+    tile.solid = tile.shape !== 'none';
+    TILE_INDEX[tile.name] = index;
+  });
+
+  // Create a map of the given size in tiles, filled with one tile
+  function createTilemap(width, height, fill) {
+    const tiles = [];
+    for (let i = 0; i < width * height; i++) {
+      tiles.push(fill || 0);
+    }
+    return { width, height, tileSize: TILE_SIZE, tiles };
+  }
+
+  // Index of a tile by name, throwing for unknown names
+  function tileIndex(name) {
+    if (TILE_INDEX[name] === undefined) {
+      throw new Error(`Unknown tile "${name}"`);
+    }
+    return TILE_INDEX[name];
+  }
+
+  // Definition of a tile index, empty for unknown indices
+  function getTileDef(index) {
+    return TILESET[index] || TILESET[0];
+  }
+
+  // Tile index at tile coordinates (0 outside the map)
+  function getTile(map, tx, ty) {
+    if (tx < 0 || ty < 0 || tx >= map.width || ty >= map.height) return 0;
+    return map.tiles[ty * map.width + tx];
+  }
+
+  // Set the tile at tile coordinates, ignoring positions outside the map
+  function setTile(map, tx, ty, index) {
+    if (tx < 0 || ty < 0 || tx >= map.width || ty >= map.height) return;
+    map.tiles[ty * map.width + tx] = index;
+  }
+
+  // Fill a rectangle of tiles
+  function fillTiles(map, tx, ty, width, height, index) {
+    for (let y = ty; y < ty + height; y++) {
+      for (let x = tx; x < tx + width; x++) {
+        setTile(map, x, y, index);
+      }
+    }
+  }
+
+  // Check whether the map pixel at (x, y) is inside a tile's collision shape
+  function isSolidAt(map, x, y) {
+    const px = Math.floor(x);
+    const py = Math.floor(y);
+    const tx = Math.floor(px / map.tileSize);
+    const ty = Math.floor(py / map.tileSize);
+
+    const shape = COLLISION_SHAPES[getTileDef(getTile(map, tx, ty)).shape];
+    if (!shape) return false;
+
+    const localX = px - tx * map.tileSize;
+    const localY = py - ty * map.tileSize;
+    return localX >= shape[0] && localX < shape[0] + shape[2] &&
+      localY >= shape[1] && localY < shape[1] + shape[3];
+  }
+
+  // Map size in pixels
+  function pixelWidth(map) {
+    return map.width * map.tileSize;
+  }
+
+  function pixelHeight(map) {
+    return map.height * map.tileSize;
+  }
+
+  return {
+    TILE_SIZE,
+    TILESET,
+    COLLISION_SHAPES,
+    createTilemap,
+    tileIndex,
+    getTileDef,
+    getTile,
+    setTile,
+    fillTiles,
+    isSolidAt,
+    pixelWidth,
+    pixelHeight
+  };
+});